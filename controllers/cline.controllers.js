@@ -1,11 +1,113 @@
-const { spawn, exec } = require("child_process");
-const { promisify } = require("util");
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const path = require("path");
 const axios = require("axios");
 const supabase = require("../services/supabase.services");
-
-const execPromise = promisify(exec);
+const agentRunner = require("../services/agentRunner.services");
+const jobQueue = require("../services/jobQueue.services");
+const agentLog = require("../services/agentLog.services");
+const progressBus = require("../services/progressBus.services");
+const webhooks = require("../services/webhooks.services");
+const {
+  issueStreamTicket,
+  STREAM_TICKET_TTL_SECONDS,
+} = require("../middlewares/auth.middleware");
+const {
+  FIX_JOB_TERMINAL_EVENTS,
+  recordFixJobEvent,
+  getFixJobEvents,
+} = require("../services/fixJobEvents.services");
+const { analyzeStructure } = require("../services/structureAnalyzer.services");
+const {
+  SEVERITIES,
+  validateAnalysis,
+  salvageAnalysis,
+} = require("../services/analysisSchema.services");
+const {
+  scoreAnalysis,
+  getScoringConfig,
+  SCORING_MODEL,
+} = require("../services/scoring.services");
+const {
+  runCommand,
+  cloneRepository,
+  checkoutRef,
+  pushBranch,
+  getHeadSha,
+  getWorkingTreeChanges,
+  restorePaths,
+  resetToIndex,
+  applyPatch,
+  resolveRemoteRef,
+} = require("../services/git.services");
+const {
+  extractFindings,
+  diffFindings,
+} = require("../services/findings.services");
+const {
+  BUCKETS,
+  buildTrendPoint,
+  bucketize,
+} = require("../services/trend.services");
+const {
+  FINDING_STATUSES,
+  USER_STATUSES,
+  ACTIVE_STATUSES,
+  syncFindings,
+  getAnalysisFindings,
+} = require("../services/findingStore.services");
+const {
+  matchesSuppression,
+  applySuppressions,
+  getActiveSuppressions,
+} = require("../services/suppressions.services");
+const {
+  DEFAULT_REPO_CONFIG,
+  loadRepoConfig,
+  matchesAny,
+  meetsThreshold,
+  filterIgnoredFindings,
+  promptSection,
+} = require("../services/repoConfig.services");
+const {
+  DEFAULT_PROFILE,
+  PROFILE_NAMES,
+  getProfile,
+  listProfiles,
+} = require("../services/analysisProfiles.services");
+const {
+  DEFAULT_FIX_POLICY,
+  validateFixPolicy,
+  resolveFixPolicy,
+  getUserFixPolicy,
+  fileViolations,
+  sizeViolations,
+  formatViolations,
+} = require("../services/fixPolicy.services");
+const {
+  detectVerificationSteps,
+  runVerification,
+  describeStep,
+} = require("../services/verification.services");
+const { buildSarifLog } = require("../services/sarif.services");
+const {
+  renderMarkdown,
+  renderHtml,
+  renderCsv,
+} = require("../services/report.services");
+
+const TERMINAL_STATUSES = ["completed", "partial", "failed", "cancelled"];
+// "pr" opens a PR right away; "dry_run" stores the patch for review, and
+// applying it later runs an "apply" job
+const FIX_MODES = ["pr", "dry_run"];
+const MAX_PATCH_BYTES = 1024 * 1024;
+const RETRYABLE_STATUSES = ["partial", "failed", "cancelled"];
+const EXPORT_FORMATS = {
+  sarif: { contentType: "application/sarif+json", extension: "sarif" },
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
 
 // =============================
 // MAIN ENDPOINTS
@@ -36,6 +138,11 @@ exports.getAllAnalyses = async (req, res) => {
         repo_name,
         repo_owner,
         repo_url,
+        ref,
+        commit_sha,
+        cached_from,
+        profile,
+        profile_version,
         status,
         progress,
         code_quality,
@@ -155,6 +262,9 @@ exports.analyzeRepository = async (req, res) => {
     owner,
     enableAIFix = false,
     accessToken,
+    ref,
+    force = false,
+    profile = DEFAULT_PROFILE,
   } = req.body;
   const userId = req.user?.id ? String(req.user.id) : null;
 
@@ -162,36 +272,74 @@ exports.analyzeRepository = async (req, res) => {
     return res.status(400).json({ error: "Missing required fields" });
   }
 
+  if (ref !== undefined && !isValidRef(ref)) {
+    return res.status(400).json({ error: "Invalid ref" });
+  }
+
+  const analysisProfile = getProfile(profile);
+  if (!analysisProfile) {
+    return res.status(400).json({
+      error: `Unknown profile. Expected one of: ${PROFILE_NAMES.join(", ")}`,
+    });
+  }
+
   try {
     const analysisId = `analysis-${Date.now()}-${Math.random()
       .toString(36)
       .substring(2, 9)}`;
 
-    await supabase.from("analyses").insert({
+    // Persisted so the job can be re-queued after a restart (no secrets)
+    const jobParams = {
+      repoUrl,
+      repoName,
+      owner,
+      enableAIFix,
+      ref: ref || null,
+      force: Boolean(force),
+      profile,
+      userId,
+    };
+
+    const { error: insertError } = await supabase.from("analyses").insert({
       analysis_id: analysisId,
       user_id: userId,
       repo_url: repoUrl,
       repo_name: repoName,
       repo_owner: owner,
+      ref: ref || null,
+      profile,
+      profile_version: analysisProfile.version,
       status: "pending",
       progress: 0,
       message: "Analysis queued...",
+      job_params: jobParams,
       created_at: new Date().toISOString(),
     });
 
-    console.log(`🚀 Analysis started: ${analysisId}`);
+    if (insertError) throw insertError;
+
+    publishUserEvent(userId, "job.created", {
+      kind: "analysis",
+      id: analysisId,
+      repoOwner: owner,
+      repoName,
+      status: "pending",
+    });
+
+    // Tokens stay in memory only; the JWT's token is used for cloning
+    const queuePosition = jobQueue.enqueue("analysis", analysisId, userId, {
+      ...jobParams,
+      accessToken,
+      githubToken: req.githubToken,
+    });
 
-    res.json({ success: true, analysisId, message: "Analysis started" });
+    console.log(`🚀 Analysis queued: ${analysisId}`);
 
-    performAnalysis(
+    res.json({
+      success: true,
       analysisId,
-      repoUrl,
-      repoName,
-      owner,
-      enableAIFix,
-      accessToken
-    ).catch((err) => {
-      console.error(`❌ Analysis ${analysisId} failed:`, err);
+      queuePosition,
+      message: queuePosition > 0 ? "Analysis queued" : "Analysis started",
     });
   } catch (error) {
     console.error("Error in analyzeRepository:", error);
@@ -200,7 +348,8 @@ exports.analyzeRepository = async (req, res) => {
 };
 
 exports.triggerAIFix = async (req, res) => {
-  const { analysisId, accessToken } = req.body;
+  const { analysisId } = req.body;
+  const accessToken = req.body.accessToken || req.githubToken;
 
   if (!analysisId || !accessToken) {
     return res.status(400).json({
@@ -225,17 +374,33 @@ exports.triggerAIFix = async (req, res) => {
       });
     }
 
-    res.json({ success: true, message: "AI fix started", analysisId });
+    await supabase
+      .from("analyses")
+      .update({ ai_fix_result: { status: "queued" } })
+      .eq("analysis_id", analysisId);
 
-    runAIFixWorkflow(
+    const queuePosition = jobQueue.enqueue(
+      "ai_fix",
+      analysisId,
+      req.user?.id ? String(req.user.id) : null,
       {
-        analysisId: analysis.analysis_id,
-        repoName: analysis.repo_name,
-        owner: analysis.repo_owner,
-        repoUrl: analysis.repo_url,
-      },
-      accessToken
-    ).catch((err) => console.error(`AI fix ${analysisId} failed:`, err));
+        analysis: {
+          analysisId: analysis.analysis_id,
+          userId: analysis.user_id,
+          repoName: analysis.repo_name,
+          owner: analysis.repo_owner,
+          repoUrl: analysis.repo_url,
+        },
+        accessToken,
+      }
+    );
+
+    res.json({
+      success: true,
+      message: queuePosition > 0 ? "AI fix queued" : "AI fix started",
+      analysisId,
+      queuePosition,
+    });
   } catch (error) {
     res.status(500).json({
       error: "Failed to trigger AI fix",
@@ -245,7 +410,8 @@ exports.triggerAIFix = async (req, res) => {
 };
 
 exports.autonomousHighImpactFix = async (req, res) => {
-  const { analysisId, accessToken, autoMerge = false } = req.body;
+  const { analysisId, autoMerge = false, mode = "pr" } = req.body;
+  const accessToken = req.body.accessToken || req.githubToken;
 
   if (!analysisId || !accessToken) {
     return res.status(400).json({
@@ -254,6 +420,12 @@ exports.autonomousHighImpactFix = async (req, res) => {
     });
   }
 
+  if (!FIX_MODES.includes(mode)) {
+    return res.status(400).json({
+      error: `Unknown mode. Expected one of: ${FIX_MODES.join(", ")}`,
+    });
+  }
+
   try {
     const { data: analysis, error } = await supabase
       .from("analyses")
@@ -272,37 +444,66 @@ exports.autonomousHighImpactFix = async (req, res) => {
       });
     }
 
+    if ((analysis.profile || DEFAULT_PROFILE) !== DEFAULT_PROFILE) {
+      return res.status(400).json({
+        error: `Autonomous fixes need a ${DEFAULT_PROFILE} analysis`,
+        profile: analysis.profile,
+      });
+    }
+
     const fixJobId = `autofix-${Date.now()}-${Math.random()
       .toString(36)
       .substr(2, 9)}`;
+    const userId = req.user?.id ? String(req.user.id) : null;
 
-    await supabase.from("autonomous_fix_jobs").insert({
-      job_id: fixJobId,
-      analysis_id: analysisId,
-      repo_name: analysis.repo_name,
-      repo_owner: analysis.repo_owner,
+    const { error: insertError } = await supabase
+      .from("autonomous_fix_jobs")
+      .insert({
+        job_id: fixJobId,
+        analysis_id: analysisId,
+        user_id: userId,
+        repo_name: analysis.repo_name,
+        repo_owner: analysis.repo_owner,
+        status: "initializing",
+        progress: 0,
+        message: "Waiting in queue...",
+        mode,
+        job_params: { autoMerge, mode },
+        created_at: new Date().toISOString(),
+      });
+
+    if (insertError) throw insertError;
+
+    publishUserEvent(userId, "job.created", {
+      kind: "autonomous_fix",
+      id: fixJobId,
+      analysisId,
+      repoOwner: analysis.repo_owner,
+      repoName: analysis.repo_name,
       status: "initializing",
-      progress: 0,
-      message: "Identifying high-impact issues...",
-      created_at: new Date().toISOString(),
+    });
+
+    const queuePosition = jobQueue.enqueue("autonomous_fix", fixJobId, userId, {
+      analysis,
+      accessToken,
+      autoMerge,
+      mode,
     });
 
     res.json({
       success: true,
       jobId: fixJobId,
       analysisId,
-      message: "Autonomous fix started - high-impact issues will be fixed",
+      mode,
+      queuePosition,
+      message:
+        mode === "dry_run"
+          ? "Dry run queued - review the patch before applying it"
+          : queuePosition > 0
+          ? "Autonomous fix queued - high-impact issues will be fixed"
+          : "Autonomous fix started - high-impact issues will be fixed",
       status: "processing",
     });
-
-    runAutonomousHighImpactFix(
-      fixJobId,
-      analysis,
-      accessToken,
-      autoMerge
-    ).catch((err) => {
-      console.error(`❌ Autonomous fix ${fixJobId} failed:`, err);
-    });
   } catch (error) {
     res.status(500).json({
       error: "Failed to start autonomous fix",
@@ -313,6 +514,7 @@ exports.autonomousHighImpactFix = async (req, res) => {
 
 exports.getAutonomousFixStatus = async (req, res) => {
   const { jobId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
 
   try {
     const { data, error } = await supabase
@@ -321,7 +523,7 @@ exports.getAutonomousFixStatus = async (req, res) => {
       .eq("job_id", jobId)
       .single();
 
-    if (error || !data) {
+    if (error || !data || !userId || data.user_id !== userId) {
       return res.status(404).json({ error: "Fix job not found" });
     }
 
@@ -333,12 +535,20 @@ exports.getAutonomousFixStatus = async (req, res) => {
         status: data.status,
         progress: data.progress,
         message: data.message,
+        mode: data.mode || "pr",
         highImpactIssues: data.high_impact_issues,
         fixesApplied: data.fixes_applied,
         filesModified: data.files_modified,
+        hasPatch: Boolean(data.patch),
+        policyReport: data.policy_report,
+        verification: data.verification,
+        baseSha: data.base_sha,
+        applyOf: data.apply_of,
+        appliedJobId: data.applied_job_id,
         prUrl: data.pr_url,
         prNumber: data.pr_number,
         error: data.error,
+        queuePosition: jobQueue.getQueuePosition("autonomous_fix", jobId),
         createdAt: data.created_at,
         completedAt: data.completed_at,
       },
@@ -353,6 +563,7 @@ exports.getAutonomousFixStatus = async (req, res) => {
 
 exports.getAnalysis = async (req, res) => {
   const { analysisId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
 
   try {
     const { data, error } = await supabase
@@ -361,7 +572,7 @@ exports.getAnalysis = async (req, res) => {
       .eq("analysis_id", analysisId)
       .single();
 
-    if (error || !data) {
+    if (error || !data || !userId || data.user_id !== userId) {
       return res.status(404).json({ error: "Analysis not found" });
     }
 
@@ -376,17 +587,18 @@ exports.getAnalysis = async (req, res) => {
 
 exports.getAnalysisProgress = async (req, res) => {
   const { analysisId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
 
   try {
     const { data, error } = await supabase
       .from("analyses")
       .select(
-        "status, progress, current_step, total_steps, message, code_quality"
+        "user_id, status, progress, current_step, total_steps, message, code_quality"
       )
       .eq("analysis_id", analysisId)
       .single();
 
-    if (error || !data) {
+    if (error || !data || !userId || data.user_id !== userId) {
       return res.status(404).json({ error: "Analysis not found" });
     }
 
@@ -400,6 +612,7 @@ exports.getAnalysisProgress = async (req, res) => {
         totalSteps: data.total_steps,
         message: data.message,
       },
+      queuePosition: jobQueue.getQueuePosition("analysis", analysisId),
       codeQuality: data.code_quality,
     });
   } catch (error) {
@@ -410,8 +623,23 @@ exports.getAnalysisProgress = async (req, res) => {
   }
 };
 
+// Sends the current state, then follows the progress bus until the analysis
+// finishes. Only the queue position, which lives in this process, is polled.
 exports.streamAnalysisProgress = async (req, res) => {
   const { analysisId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  // The stream carries the agent's output
+  try {
+    if (!(await ownsJob("analysis", analysisId, userId))) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to stream analysis",
+      details: error.message,
+    });
+  }
 
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
@@ -419,53 +647,396 @@ exports.streamAnalysisProgress = async (req, res) => {
 
   res.write(`event: connected\ndata: ${JSON.stringify({ analysisId })}\n\n`);
 
-  let lastProgress = -1;
-
-  const interval = setInterval(async () => {
-    try {
-      const { data, error } = await supabase
-        .from("analyses")
-        .select("status, progress, current_step, total_steps, message")
-        .eq("analysis_id", analysisId)
-        .single();
+  // Agent output: what is buffered so far, then every new line
+  agentLog
+    .getLiveTranscript("analysis", analysisId)
+    ?.lines.forEach((entry) =>
+      res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`)
+    );
+  const unsubscribeLog = agentLog.subscribe("analysis", analysisId, (entry) =>
+    res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`)
+  );
+
+  let state = null;
+  let lastQueuePosition;
+  let closed = false;
+
+  const stop = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(queueInterval);
+    unsubscribeLog();
+    unsubscribe();
+  };
+
+  const send = () => {
+    const queuePosition = jobQueue.getQueuePosition("analysis", analysisId);
+    lastQueuePosition = queuePosition;
+
+    res.write(
+      `event: progress\ndata: ${JSON.stringify({
+        status: state.status,
+        progress: state.progress,
+        step: state.step,
+        totalSteps: state.totalSteps,
+        message: state.message,
+        queuePosition,
+      })}\n\n`
+    );
 
-      if (error || !data) {
-        res.write(
-          `event: error\ndata: ${JSON.stringify({ error: "Not found" })}\n\n`
-        );
-        clearInterval(interval);
-        res.end();
+    if (TERMINAL_STATUSES.includes(state.status)) {
+      res.write(`event: ${state.status}\ndata: ${JSON.stringify({})}\n\n`);
+      stop();
+      res.end();
+    }
+  };
+
+  // Subscribe before reading the row so no transition falls in between
+  const updates = [];
+  const unsubscribe = progressBus.subscribe(
+    "analysis",
+    analysisId,
+    (update) => {
+      if (closed) return;
+      if (!state) {
+        updates.push(update);
         return;
       }
+      state = { ...state, ...update };
+      send();
+    }
+  );
+
+  const queueInterval = setInterval(() => {
+    if (
+      state &&
+      jobQueue.getQueuePosition("analysis", analysisId) !== lastQueuePosition
+    ) {
+      send();
+    }
+  }, 1000);
 
-      if (data.progress !== lastProgress) {
-        lastProgress = data.progress;
-        res.write(
-          `event: progress\ndata: ${JSON.stringify({
-            status: data.status,
-            progress: data.progress,
-            step: data.current_step,
-            totalSteps: data.total_steps,
-            message: data.message,
-          })}\n\n`
-        );
-      }
+  req.on("close", stop);
+
+  try {
+    const { data, error } = await supabase
+      .from("analyses")
+      .select("status, progress, current_step, total_steps, message")
+      .eq("analysis_id", analysisId)
+      .single();
+
+    if (closed) return;
+
+    if (error || !data) {
+      res.write(
+        `event: error\ndata: ${JSON.stringify({ error: "Not found" })}\n\n`
+      );
+      stop();
+      res.end();
+      return;
+    }
+
+    state = updates.reduce((current, update) => ({ ...current, ...update }), {
+      status: data.status,
+      progress: data.progress,
+      step: data.current_step,
+      totalSteps: data.total_steps,
+      message: data.message,
+    });
+    send();
+  } catch (error) {
+    res.write(
+      `event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`
+    );
+    stop();
+    res.end();
+  }
+};
+
+// Replays the job's event log after Last-Event-ID (or ?lastEventId= for
+// the first connection), then reads new events whenever the progress bus
+// announces one, until the job finishes. Agent output goes out as id-less
+// "log" events; each carries its own seq.
+exports.streamAutonomousFix = async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+  let lastEventId =
+    parseInt(req.get("Last-Event-ID") ?? req.query.lastEventId, 10) || 0;
+
+  try {
+    if (!(await ownsJob("autonomous_fix", jobId, userId))) {
+      return res.status(404).json({ error: "Fix job not found" });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to stream fix job",
+      details: error.message,
+    });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+
+  res.write(
+    `event: connected\ndata: ${JSON.stringify({ jobId, lastEventId })}\n\n`
+  );
 
-      if (data.status === "completed" || data.status === "failed") {
-        res.write(`event: ${data.status}\ndata: ${JSON.stringify({})}\n\n`);
-        clearInterval(interval);
-        res.end();
+  agentLog
+    .getLiveTranscript("autonomous_fix", jobId)
+    ?.lines.forEach((entry) =>
+      res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`)
+    );
+  const unsubscribeLog = agentLog.subscribe("autonomous_fix", jobId, (entry) =>
+    res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`)
+  );
+
+  let closed = false;
+  let reading = false;
+  let readAgain = false;
+
+  const stop = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribeLog();
+    unsubscribe();
+    res.end();
+  };
+
+  // Writes stored events newer than lastEventId; true once a terminal one
+  // has been sent
+  const sendNewEvents = async () => {
+    const events = await getFixJobEvents(jobId, lastEventId);
+
+    for (const event of events) {
+      lastEventId = event.event_id;
+      res.write(
+        `id: ${event.event_id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+          ...event.data,
+          at: event.created_at,
+        })}\n\n`
+      );
+
+      if (FIX_JOB_TERMINAL_EVENTS.includes(event.type)) {
+        stop();
+        return true;
       }
+    }
+    return false;
+  };
+
+  // Bus messages only announce new events; reads never overlap
+  const read = async () => {
+    if (reading) {
+      readAgain = true;
+      return;
+    }
+    reading = true;
+
+    try {
+      do {
+        readAgain = false;
+        if (closed || (await sendNewEvents())) return;
+      } while (readAgain);
     } catch (error) {
       res.write(
         `event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`
       );
-      clearInterval(interval);
-      res.end();
+      stop();
+    } finally {
+      reading = false;
     }
-  }, 1000);
+  };
+
+  const unsubscribe = progressBus.subscribe("autonomous_fix", jobId, read);
+  req.on("close", stop);
+
+  try {
+    // Read the row first: once it is terminal, its terminal event is stored
+    const { data: job, error } = await supabase
+      .from("autonomous_fix_jobs")
+      .select("status, error, pr_url, pr_number, files_modified")
+      .eq("job_id", jobId)
+      .single();
+
+    if (closed) return;
+
+    if (error || !job) {
+      res.write(
+        `event: error\ndata: ${JSON.stringify({ error: "Not found" })}\n\n`
+      );
+      stop();
+      return;
+    }
+
+    await read();
+
+    // Jobs that finished without a recorded terminal event
+    if (!closed && FIX_JOB_TERMINAL_EVENTS.includes(job.status)) {
+      res.write(
+        `event: ${job.status}\ndata: ${JSON.stringify({
+          error: job.error || null,
+          prUrl: job.pr_url || null,
+          prNumber: job.pr_number || null,
+          filesModified: job.files_modified || [],
+        })}\n\n`
+      );
+      stop();
+    }
+  } catch (error) {
+    res.write(
+      `event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`
+    );
+    stop();
+  }
+};
+
+// Ticket for GET /events?ticket=, which EventSource opens without headers
+exports.createStreamTicket = async (req, res) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  res.json({
+    success: true,
+    ticket: issueStreamTicket(req.user),
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+  });
+};
+
+// One stream per user: status changes of every analysis and fix job they
+// own, plus job.created / job.deleted. Starts with a snapshot of the jobs
+// still in progress; finished jobs only change by being deleted.
+exports.streamUserEvents = async (req, res) => {
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("connected", { userId });
+
+  // Jobs whose status changes are forwarded: "<kind>:<id>"
+  const watched = new Set();
+  let buffered = [];
+  let closed = false;
+
+  const handle = ({ kind, id, payload }) => {
+    if (kind === "user") {
+      if (id !== userId) return;
+      const { type, ...data } = payload;
+      if (type === "job.created") watched.add(`${data.kind}:${data.id}`);
+      if (type === "job.deleted") watched.delete(`${data.kind}:${data.id}`);
+      send(type, data);
+      return;
+    }
+
+    if (!watched.has(`${kind}:${id}`)) return;
 
-  req.on("close", () => clearInterval(interval));
+    const update = toStatusUpdate(kind, id, payload);
+    if (!update) return;
+
+    send("job.status", update);
+    if (TERMINAL_STATUSES.includes(update.status)) {
+      watched.delete(`${kind}:${id}`);
+    }
+  };
+
+  // Subscribe before the snapshot; hold messages until it is in
+  const unsubscribe = progressBus.subscribeAll((message) => {
+    if (closed) return;
+    if (buffered) buffered.push(message);
+    else handle(message);
+  });
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  const stop = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on("close", stop);
+
+  try {
+    const terminal = `(${TERMINAL_STATUSES.join(",")})`;
+    const [analysesResult, fixJobsResult] = await Promise.all([
+      supabase
+        .from("analyses")
+        .select(
+          "analysis_id, repo_owner, repo_name, status, progress, current_step, message"
+        )
+        .eq("user_id", userId)
+        .not("status", "in", terminal),
+      supabase
+        .from("autonomous_fix_jobs")
+        .select(
+          "job_id, analysis_id, repo_owner, repo_name, status, progress, message"
+        )
+        .eq("user_id", userId)
+        .not("status", "in", terminal),
+    ]);
+
+    if (analysesResult.error) throw analysesResult.error;
+    if (fixJobsResult.error) throw fixJobsResult.error;
+    if (closed) return;
+
+    const analyses = analysesResult.data.map((row) => ({
+      kind: "analysis",
+      id: row.analysis_id,
+      repoOwner: row.repo_owner,
+      repoName: row.repo_name,
+      status: row.status,
+      progress: row.progress,
+      step: row.current_step,
+      message: row.message,
+    }));
+    const fixJobs = fixJobsResult.data.map((row) => ({
+      kind: "autonomous_fix",
+      id: row.job_id,
+      analysisId: row.analysis_id,
+      repoOwner: row.repo_owner,
+      repoName: row.repo_name,
+      status: row.status,
+      progress: row.progress,
+      message: row.message,
+    }));
+
+    [...analyses, ...fixJobs].forEach((job) =>
+      watched.add(`${job.kind}:${job.id}`)
+    );
+    send("snapshot", { analyses, fixJobs });
+
+    const pending = buffered;
+    buffered = null;
+    pending.forEach(handle);
+  } catch (error) {
+    send("error", { error: error.message });
+    stop();
+    res.end();
+  }
+};
+
+exports.getAnalysisTranscript = async (req, res) => {
+  const { analysisId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+  return sendTranscript(res, "analysis", analysisId, userId);
+};
+
+exports.getAutonomousFixTranscript = async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+  return sendTranscript(res, "autonomous_fix", jobId, userId);
 };
 
 exports.getAnalysisHistory = async (req, res) => {
@@ -475,7 +1046,7 @@ exports.getAnalysisHistory = async (req, res) => {
     const { data, error, count } = await supabase
       .from("analyses")
       .select(
-        "analysis_id, repo_name, repo_owner, status, progress, code_quality, created_at",
+        "analysis_id, repo_name, repo_owner, profile, profile_version, status, progress, code_quality, created_at",
         {
           count: "exact",
         }
@@ -500,79 +1071,2071 @@ exports.getAnalysisHistory = async (req, res) => {
   }
 };
 
-// =============================
-// AUTONOMOUS FIX WORKFLOW
-// =============================
-
-async function runAutonomousHighImpactFix(
-  fixJobId,
-  analysis,
-  accessToken,
-  autoMerge
-) {
-  let tempDir = null;
+exports.compareAnalyses = async (req, res) => {
+  const { analysisId, otherId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
 
   try {
-    console.log(`\n🤖 AUTONOMOUS FIX: ${fixJobId}`);
+    const { data, error } = await supabase
+      .from("analyses")
+      .select(
+        "analysis_id, user_id, repo_owner, repo_name, profile, commit_sha, status, structure, code_quality, ai_analysis, completed_at"
+      )
+      .in("analysis_id", [analysisId, otherId]);
 
-    await updateFixJobProgress(
-      fixJobId,
-      "analyzing",
-      10,
-      "Analyzing issues..."
-    );
+    if (error) throw error;
 
-    const highImpactIssues = identifyHighImpactIssues(analysis);
+    const base = data.find((a) => a.analysis_id === analysisId);
+    const other = data.find((a) => a.analysis_id === otherId);
+    const visible = (a) => a && userId && a.user_id === userId;
 
-    if (highImpactIssues.length === 0) {
-      await supabase
-        .from("autonomous_fix_jobs")
-        .update({
-          status: "completed",
-          progress: 100,
-          message: "No high-impact issues detected",
-          completed_at: new Date().toISOString(),
-        })
-        .eq("job_id", fixJobId);
-      return;
+    if (!visible(base) || !visible(other)) {
+      return res.status(404).json({ error: "Analysis not found" });
     }
 
-    console.log(`🚨 Found ${highImpactIssues.length} high-impact issues`);
+    const notReady = [base, other].find((a) => !a.ai_analysis);
+    if (notReady) {
+      return res.status(400).json({
+        error: "Both analyses must have finished before comparing",
+        analysisId: notReady.analysis_id,
+        currentStatus: notReady.status,
+      });
+    }
 
+    // A narrower profile would show everything it does not look at as resolved
+    if (
+      (base.profile || DEFAULT_PROFILE) !== (other.profile || DEFAULT_PROFILE)
+    ) {
+      return res.status(400).json({
+        error: "Only analyses with the same profile can be compared",
+        profiles: [base.profile, other.profile],
+      });
+    }
+
+    const diff = diffFindings(
+      extractFindings(base.ai_analysis),
+      extractFindings(other.ai_analysis)
+    );
+
+    res.json({
+      success: true,
+      base: summarizeForCompare(base),
+      compared: summarizeForCompare(other),
+      sameRepository:
+        base.repo_owner === other.repo_owner &&
+        base.repo_name === other.repo_name,
+      findings: {
+        summary: {
+          new: diff.new.length,
+          resolved: diff.resolved.length,
+          unchanged: diff.unchanged.length,
+        },
+        new: diff.new,
+        resolved: diff.resolved,
+        unchanged: diff.unchanged,
+      },
+      score: compareScores(base.code_quality, other.code_quality),
+      structure: compareStructure(base.structure, other.structure),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to compare analyses",
+      details: error.message,
+    });
+  }
+};
+
+exports.exportAnalysis = async (req, res) => {
+  const { analysisId } = req.params;
+  const { format = "sarif" } = req.query;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  const exportFormat =
+    typeof format === "string" && Object.hasOwn(EXPORT_FORMATS, format)
+      ? EXPORT_FORMATS[format]
+      : null;
+  if (!exportFormat) {
+    return res.status(400).json({
+      error: `Unsupported format. Expected one of: ${Object.keys(
+        EXPORT_FORMATS
+      ).join(", ")}`,
+    });
+  }
+
+  try {
+    const { data: analysis, error } = await supabase
+      .from("analyses")
+      .select("*")
+      .eq("analysis_id", analysisId)
+      .single();
+
+    if (error || !analysis || !userId || analysis.user_id !== userId) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+
+    if (analysis.status !== "completed") {
+      return res.status(400).json({
+        error: "Analysis must be completed first",
+        currentStatus: analysis.status,
+      });
+    }
+
+    const baseName = [
+      analysis.repo_owner,
+      analysis.repo_name,
+      analysis.commit_sha?.substring(0, 7),
+    ]
+      .filter(Boolean)
+      .join("-");
+
+    let body;
+    if (format === "sarif") {
+      body = JSON.stringify(buildSarifLog(analysis), null, 2);
+    } else if (format === "csv") {
+      body = renderCsv(analysis);
+    } else {
+      // Reports link the fix PRs opened from this analysis
+      const { data: fixJobs, error: fixError } = await supabase
+        .from("autonomous_fix_jobs")
+        .select("job_id, status, pr_url, pr_number, created_at")
+        .eq("analysis_id", analysisId)
+        .order("created_at", { ascending: true });
+
+      if (fixError) throw fixError;
+
+      body =
+        format === "html"
+          ? renderHtml(analysis, fixJobs)
+          : renderMarkdown(analysis, fixJobs);
+    }
+
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}.${exportFormat.extension}"`
+    );
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to export analysis",
+      details: error.message,
+    });
+  }
+};
+
+exports.getRepositoryTrend = async (req, res) => {
+  const { owner, repo } = req.params;
+  const { from, to, bucket = "none", profile = DEFAULT_PROFILE } = req.query;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  if (!BUCKETS.includes(bucket)) {
+    return res.status(400).json({
+      error: `Invalid bucket. Expected one of: ${BUCKETS.join(", ")}`,
+    });
+  }
+
+  // Profiles report different subsets, so each has its own trend line
+  if (typeof profile !== "string" || !getProfile(profile)) {
+    return res.status(400).json({
+      error: `Unknown profile. Expected one of: ${PROFILE_NAMES.join(", ")}`,
+    });
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return res.status(400).json({ error: "Invalid from/to date" });
+  }
+
+  try {
+    let query = supabase
+      .from("analyses")
+      .select(
+        "analysis_id, commit_sha, code_quality, structure, ai_analysis, created_at, completed_at"
+      )
+      .eq("user_id", userId)
+      .eq("repo_owner", owner)
+      .eq("repo_name", repo)
+      .eq("profile", profile)
+      .eq("status", "completed")
+      .order("completed_at", { ascending: true });
+
+    if (fromDate) query = query.gte("completed_at", fromDate.toISOString());
+    if (toDate) query = query.lte("completed_at", toDate.toISOString());
+
+    const { data: analyses, error } = await query;
+    if (error) throw error;
+
+    let fixJobs = [];
+    if (analyses.length > 0) {
+      const { data: fixData, error: fixError } = await supabase
+        .from("autonomous_fix_jobs")
+        .select("analysis_id, status, pr_url")
+        .in(
+          "analysis_id",
+          analyses.map((a) => a.analysis_id)
+        );
+
+      if (fixError) throw fixError;
+      fixJobs = fixData || [];
+    }
+
+    const points = analyses.map((analysis) =>
+      buildTrendPoint(
+        analysis,
+        fixJobs.filter((f) => f.analysis_id === analysis.analysis_id)
+      )
+    );
+
+    res.json({
+      success: true,
+      repo: `${owner}/${repo}`,
+      profile,
+      bucket,
+      range: {
+        from: fromDate ? fromDate.toISOString() : null,
+        to: toDate ? toDate.toISOString() : null,
+      },
+      totalAnalyses: points.length,
+      series: bucketize(points, bucket),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to get repository trend",
+      details: error.message,
+    });
+  }
+};
+
+exports.listFindings = async (req, res) => {
+  const {
+    owner,
+    repo,
+    status,
+    severity,
+    category,
+    file,
+    analysisId,
+    limit = 100,
+    offset = 0,
+  } = req.query;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  const statuses = status ? String(status).split(",") : null;
+  if (statuses && statuses.some((s) => !FINDING_STATUSES.includes(s))) {
+    return res.status(400).json({
+      error: `Invalid status. Expected one of: ${FINDING_STATUSES.join(", ")}`,
+    });
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  try {
+    let query = supabase
+      .from("findings")
+      .select(analysisId ? "*, analysis_findings!inner(analysis_id)" : "*", {
+        count: "exact",
+      })
+      .eq("user_id", userId)
+      .order("last_seen_at", { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (owner) query = query.eq("repo_owner", owner);
+    if (repo) query = query.eq("repo_name", repo);
+    if (statuses) query = query.in("status", statuses);
+    if (severity) query = query.in("severity", String(severity).split(","));
+    if (category) query = query.eq("category", category);
+    if (file) query = query.eq("file", file);
+    if (analysisId) {
+      query = query.eq("analysis_findings.analysis_id", analysisId);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      total: count,
+      offset: start,
+      limit: pageSize,
+      findings: data.map(({ analysis_findings, ...finding }) => finding),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to list findings",
+      details: error.message,
+    });
+  }
+};
+
+exports.getFinding = async (req, res) => {
+  const { findingId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data: finding, error } = await supabase
+      .from("findings")
+      .select("*, analysis_findings(analysis_id, severity, line)")
+      .eq("finding_id", findingId)
+      .eq("user_id", userId)
+      .single();
+
+    if (error || !finding) {
+      return res.status(404).json({ error: "Finding not found" });
+    }
+
+    const { analysis_findings: occurrences, ...rest } = finding;
+
+    res.json({ success: true, finding: { ...rest, occurrences } });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to get finding",
+      details: error.message,
+    });
+  }
+};
+
+exports.updateFindingStatus = async (req, res) => {
+  const { findingId } = req.params;
+  const { status, reason } = req.body;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!USER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `Invalid status. Expected one of: ${USER_STATUSES.join(", ")}`,
+    });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("findings")
+      .update({
+        status,
+        status_reason: reason || null,
+        status_changed_at: now,
+        updated_at: now,
+      })
+      .eq("finding_id", findingId)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: "Finding not found" });
+    }
+
+    res.json({ success: true, finding: data });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to update finding",
+      details: error.message,
+    });
+  }
+};
+
+exports.createSuppression = async (req, res) => {
+  const {
+    findingId,
+    scope = "repo",
+    fileGlob,
+    findingType,
+    reason,
+    expiresAt,
+  } = req.body;
+  let { owner, repo } = req.body;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  if (!reason || typeof reason !== "string" || !reason.trim()) {
+    return res.status(400).json({ error: "A reason is required" });
+  }
+
+  if (!["repo", "all"].includes(scope)) {
+    return res.status(400).json({ error: "Scope must be 'repo' or 'all'" });
+  }
+
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && (isNaN(expires) || expires <= new Date())) {
+    return res.status(400).json({ error: "expiresAt must be a future date" });
+  }
+
+  try {
+    let finding = null;
+
+    if (findingId) {
+      const { data, error } = await supabase
+        .from("findings")
+        .select("*")
+        .eq("finding_id", findingId)
+        .eq("user_id", userId)
+        .single();
+
+      if (error || !data) {
+        return res.status(404).json({ error: "Finding not found" });
+      }
+
+      finding = data;
+      owner = owner || finding.repo_owner;
+      repo = repo || finding.repo_name;
+    }
+
+    if (scope === "repo" && (!owner || !repo)) {
+      return res
+        .status(400)
+        .json({ error: "owner and repo are required for repo scope" });
+    }
+
+    // Without explicit criteria a finding is suppressed by its fingerprint
+    const byFingerprint = finding && !fileGlob && !findingType;
+
+    if (!fileGlob && !findingType && !byFingerprint) {
+      return res.status(400).json({
+        error: "Provide findingId, fileGlob or findingType",
+      });
+    }
+
+    const { data: suppression, error: insertError } = await supabase
+      .from("suppressions")
+      .insert({
+        user_id: userId,
+        repo_owner: scope === "repo" ? owner : null,
+        repo_name: scope === "repo" ? repo : null,
+        file_glob: fileGlob || null,
+        finding_type: findingType || null,
+        fingerprint: byFingerprint ? finding.fingerprint : null,
+        reason: reason.trim(),
+        expires_at: expires ? expires.toISOString() : null,
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    // Dismiss the findings it already covers
+    let findingsQuery = supabase
+      .from("findings")
+      .select("*")
+      .eq("user_id", userId)
+      .in("status", ACTIVE_STATUSES);
+
+    if (suppression.repo_owner) {
+      findingsQuery = findingsQuery
+        .eq("repo_owner", suppression.repo_owner)
+        .eq("repo_name", suppression.repo_name);
+    }
+
+    const { data: candidates, error: findError } = await findingsQuery;
+    if (findError) throw findError;
+
+    const dismissedIds = candidates
+      .filter((f) => matchesSuppression(f, suppression))
+      .map((f) => f.finding_id);
+
+    if (dismissedIds.length > 0) {
+      const now = new Date().toISOString();
+      const { error: dismissError } = await supabase
+        .from("findings")
+        .update({
+          status: "dismissed",
+          status_reason: suppression.reason,
+          suppression_id: suppression.suppression_id,
+          status_changed_at: now,
+          updated_at: now,
+        })
+        .in("finding_id", dismissedIds);
+
+      if (dismissError) throw dismissError;
+    }
+
+    res.json({
+      success: true,
+      suppression,
+      dismissedFindings: dismissedIds.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to create suppression",
+      details: error.message,
+    });
+  }
+};
+
+exports.listSuppressions = async (req, res) => {
+  const { owner, repo, includeExpired } = req.query;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  try {
+    let query = supabase
+      .from("suppressions")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    if (includeExpired !== "true") {
+      query = query.or(
+        `expires_at.is.null,expires_at.gt.${new Date().toISOString()}`
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Global suppressions apply to every repository
+    const suppressions = data.filter(
+      (s) =>
+        (!owner || !s.repo_owner || s.repo_owner === owner) &&
+        (!repo || !s.repo_name || s.repo_name === repo)
+    );
+
+    res.json({ success: true, suppressions });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to list suppressions",
+      details: error.message,
+    });
+  }
+};
+
+exports.deleteSuppression = async (req, res) => {
+  const { suppressionId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data: suppression, error } = await supabase
+      .from("suppressions")
+      .select("suppression_id")
+      .eq("suppression_id", suppressionId)
+      .eq("user_id", userId)
+      .single();
+
+    if (error || !suppression) {
+      return res.status(404).json({ error: "Suppression not found" });
+    }
+
+    // Findings it dismissed are open again until the next analysis says otherwise
+    const now = new Date().toISOString();
+    const { error: reopenError } = await supabase
+      .from("findings")
+      .update({
+        status: "open",
+        status_reason: "Suppression removed",
+        suppression_id: null,
+        status_changed_at: now,
+        updated_at: now,
+      })
+      .eq("suppression_id", suppressionId);
+
+    if (reopenError) throw reopenError;
+
+    const { error: deleteError } = await supabase
+      .from("suppressions")
+      .delete()
+      .eq("suppression_id", suppressionId);
+
+    if (deleteError) throw deleteError;
+
+    res.json({ success: true, message: "Suppression deleted" });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to delete suppression",
+      details: error.message,
+    });
+  }
+};
+
+exports.getAnalysisProfiles = async (req, res) => {
+  res.json({
+    success: true,
+    defaultProfile: DEFAULT_PROFILE,
+    profiles: listProfiles(),
+  });
+};
+
+exports.createWebhook = async (req, res) => {
+  const { url, events, description } = req.body;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  const invalid = validateWebhookInput({ url, events });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const secret = webhooks.generateSecret();
+
+    const { data, error } = await supabase
+      .from("webhooks")
+      .insert({
+        user_id: userId,
+        url,
+        secret,
+        events: [...new Set(events)],
+        description: description || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // The secret is only ever returned here and on rotation
+    res.status(201).json({
+      success: true,
+      webhook: { ...toWebhookResponse(data), secret },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to create webhook",
+      details: error.message,
+    });
+  }
+};
+
+exports.listWebhooks = async (req, res) => {
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("webhooks")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      events: webhooks.WEBHOOK_EVENTS,
+      webhooks: data.map(toWebhookResponse),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to list webhooks",
+      details: error.message,
+    });
+  }
+};
+
+exports.updateWebhook = async (req, res) => {
+  const { webhookId } = req.params;
+  const { url, events, description, active, rotateSecret } = req.body;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  const invalid = validateWebhookInput({ url, events }, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return res.status(400).json({ error: "active must be a boolean" });
+  }
+
+  try {
+    const updates = { updated_at: new Date().toISOString() };
+    if (url !== undefined) updates.url = url;
+    if (events !== undefined) updates.events = [...new Set(events)];
+    if (description !== undefined) updates.description = description || null;
+    if (active !== undefined) updates.active = active;
+    if (rotateSecret) updates.secret = webhooks.generateSecret();
+
+    const { data, error } = await supabase
+      .from("webhooks")
+      .update(updates)
+      .eq("webhook_id", webhookId)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({
+      success: true,
+      webhook: {
+        ...toWebhookResponse(data),
+        ...(rotateSecret && { secret: updates.secret }),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to update webhook",
+      details: error.message,
+    });
+  }
+};
+
+exports.deleteWebhook = async (req, res) => {
+  const { webhookId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data, error } = await supabase
+      .from("webhooks")
+      .delete()
+      .eq("webhook_id", webhookId)
+      .eq("user_id", userId)
+      .select("webhook_id");
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ success: true, webhookId });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to delete webhook",
+      details: error.message,
+    });
+  }
+};
+
+exports.listWebhookDeliveries = async (req, res) => {
+  const { webhookId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const { data: hook, error: hookError } = await supabase
+      .from("webhooks")
+      .select("webhook_id")
+      .eq("webhook_id", webhookId)
+      .eq("user_id", userId)
+      .single();
+
+    if (hookError || !hook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    let query = supabase
+      .from("webhook_deliveries")
+      .select(
+        "delivery_id, event, status, attempts, response_status, error, duration_ms, next_attempt_at, redelivery_of, created_at, delivered_at",
+        { count: "exact" }
+      )
+      .eq("webhook_id", webhookId);
+
+    if (req.query.status) query = query.eq("status", req.query.status);
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      deliveries: data.map((delivery) => ({
+        deliveryId: delivery.delivery_id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        responseStatus: delivery.response_status,
+        error: delivery.error,
+        durationMs: delivery.duration_ms,
+        nextAttemptAt: delivery.next_attempt_at,
+        redeliveryOf: delivery.redelivery_of,
+        createdAt: delivery.created_at,
+        deliveredAt: delivery.delivered_at,
+      })),
+      pagination: { total: count, limit, offset },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to list webhook deliveries",
+      details: error.message,
+    });
+  }
+};
+
+exports.redeliverWebhook = async (req, res) => {
+  const { webhookId, deliveryId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data: delivery, error } = await supabase
+      .from("webhook_deliveries")
+      .select("*, webhooks!inner (user_id)")
+      .eq("delivery_id", deliveryId)
+      .eq("webhook_id", webhookId)
+      .eq("webhooks.user_id", userId)
+      .single();
+
+    if (error || !delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    const result = await webhooks.redeliver(delivery);
+
+    res.json({
+      success: true,
+      delivery: {
+        deliveryId: result.delivery_id,
+        event: result.event,
+        status: result.status,
+        attempts: result.attempts,
+        responseStatus: result.response_status,
+        error: result.error,
+        redeliveryOf: result.redelivery_of,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to redeliver webhook",
+      details: error.message,
+    });
+  }
+};
+
+exports.getFixPolicy = async (req, res) => {
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  try {
+    const policy = await getUserFixPolicy(userId);
+
+    res.json({
+      success: true,
+      policy,
+      effective: resolveFixPolicy(policy),
+      defaults: DEFAULT_FIX_POLICY,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to get fix policy",
+      details: error.message,
+    });
+  }
+};
+
+// Replaces the user's policy. Keys left out fall back to the defaults; a
+// repo's .devpulse.yml fix.policy can only tighten the result, never loosen it.
+exports.updateFixPolicy = async (req, res) => {
+  const { policy } = req.body;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return res.status(400).json({ error: "policy must be an object" });
+  }
+
+  const validation = validateFixPolicy(policy);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { error } = await supabase.from("fix_policies").upsert(
+      {
+        user_id: userId,
+        policy: validation.policy,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" }
+    );
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      policy: validation.policy,
+      effective: resolveFixPolicy(validation.policy),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to update fix policy",
+      details: error.message,
+    });
+  }
+};
+
+exports.deleteFixPolicy = async (req, res) => {
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!userId) {
+    return res.status(401).json({ error: "User not authenticated" });
+  }
+
+  try {
+    const { error } = await supabase
+      .from("fix_policies")
+      .delete()
+      .eq("user_id", userId);
+
+    if (error) throw error;
+
+    res.json({ success: true, effective: resolveFixPolicy() });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to delete fix policy",
+      details: error.message,
+    });
+  }
+};
+
+exports.cancelAnalysis = async (req, res) => {
+  const { analysisId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data, error } = await supabase
+      .from("analyses")
+      .select("analysis_id, user_id, status")
+      .eq("analysis_id", analysisId)
+      .single();
+
+    if (error || !data || !userId || data.user_id !== userId) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+
+    if (TERMINAL_STATUSES.includes(data.status)) {
+      return res.status(409).json({
+        error: "Analysis has already finished",
+        currentStatus: data.status,
+      });
+    }
+
+    const queueState = jobQueue.cancel("analysis", analysisId);
+
+    // Queued or running on another instance, out of this process' reach
+    if (!queueState) {
+      return res.status(409).json({
+        error: "Analysis is not queued on this server and cannot be cancelled",
+        currentStatus: data.status,
+      });
+    }
+
+    // A running analysis records its cancellation once it has stopped; if
+    // it finishes first, it stays completed
+    if (queueState === "queued") {
+      await markCancelled("analyses", "analysis_id", analysisId);
+    }
+
+    res.json({
+      success: true,
+      analysisId,
+      status: queueState === "running" ? "cancelling" : "cancelled",
+      wasRunning: queueState === "running",
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to cancel analysis",
+      details: error.message,
+    });
+  }
+};
+
+exports.retryAnalysis = async (req, res) => {
+  const { analysisId } = req.params;
+  const { accessToken } = req.body || {};
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data: original, error } = await supabase
+      .from("analyses")
+      .select("*")
+      .eq("analysis_id", analysisId)
+      .single();
+
+    if (error || !original || !userId || original.user_id !== userId) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+
+    if (!RETRYABLE_STATUSES.includes(original.status)) {
+      return res.status(409).json({
+        error: "Only failed or cancelled analyses can be retried",
+        currentStatus: original.status,
+      });
+    }
+
+    const newAnalysisId = `analysis-${Date.now()}-${Math.random()
+      .toString(36)
+      .substring(2, 9)}`;
+
+    const jobParams = original.job_params || {
+      repoUrl: original.repo_url,
+      repoName: original.repo_name,
+      owner: original.repo_owner,
+      enableAIFix: false,
+      ref: original.ref || null,
+      profile: original.profile || DEFAULT_PROFILE,
+      userId: original.user_id,
+    };
+
+    const { error: insertError } = await supabase.from("analyses").insert({
+      analysis_id: newAnalysisId,
+      user_id: userId,
+      repo_url: original.repo_url,
+      repo_name: original.repo_name,
+      repo_owner: original.repo_owner,
+      ref: original.ref || null,
+      profile: jobParams.profile || DEFAULT_PROFILE,
+      profile_version: getProfile(jobParams.profile)?.version || null,
+      status: "pending",
+      progress: 0,
+      message: "Retry queued...",
+      job_params: jobParams,
+      retry_of: analysisId,
+      created_at: new Date().toISOString(),
+    });
+
+    if (insertError) throw insertError;
+
+    publishUserEvent(userId, "job.created", {
+      kind: "analysis",
+      id: newAnalysisId,
+      repoOwner: original.repo_owner,
+      repoName: original.repo_name,
+      status: "pending",
+      retryOf: analysisId,
+    });
+
+    const queuePosition = jobQueue.enqueue("analysis", newAnalysisId, userId, {
+      ...jobParams,
+      userId,
+      accessToken,
+      githubToken: req.githubToken,
+    });
+
+    res.json({
+      success: true,
+      analysisId: newAnalysisId,
+      retryOf: analysisId,
+      queuePosition,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to retry analysis",
+      details: error.message,
+    });
+  }
+};
+
+exports.cancelAutonomousFix = async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data, error } = await supabase
+      .from("autonomous_fix_jobs")
+      .select("job_id, user_id, status")
+      .eq("job_id", jobId)
+      .single();
+
+    if (error || !data || !userId || data.user_id !== userId) {
+      return res.status(404).json({ error: "Fix job not found" });
+    }
+
+    if (TERMINAL_STATUSES.includes(data.status)) {
+      return res.status(409).json({
+        error: "Fix job has already finished",
+        currentStatus: data.status,
+      });
+    }
+
+    // The branch is already on GitHub at this point
+    if (["pushing", "creating_pr"].includes(data.status)) {
+      return res.status(409).json({
+        error:
+          "Fix job is already pushing changes and can no longer be cancelled",
+        currentStatus: data.status,
+      });
+    }
+
+    const queueState = jobQueue.cancel("autonomous_fix", jobId);
+
+    // Queued or running on another instance, out of this process' reach
+    if (!queueState) {
+      return res.status(409).json({
+        error: "Fix job is not queued on this server and cannot be cancelled",
+        currentStatus: data.status,
+      });
+    }
+
+    // A running job records its cancellation once it has actually stopped
+    if (queueState === "queued") {
+      await markCancelled("autonomous_fix_jobs", "job_id", jobId, data.status);
+    }
+
+    res.json({
+      success: true,
+      jobId,
+      status: queueState === "running" ? "cancelling" : "cancelled",
+      wasRunning: queueState === "running",
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to cancel fix job",
+      details: error.message,
+    });
+  }
+};
+
+exports.retryAutonomousFix = async (req, res) => {
+  const { jobId } = req.params;
+  const accessToken = req.body?.accessToken || req.githubToken;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!accessToken) {
+    return res
+      .status(400)
+      .json({ error: "Missing required field: accessToken" });
+  }
+
+  try {
+    const { data: original, error } = await supabase
+      .from("autonomous_fix_jobs")
+      .select("*")
+      .eq("job_id", jobId)
+      .single();
+
+    if (error || !original || !userId || original.user_id !== userId) {
+      return res.status(404).json({ error: "Fix job not found" });
+    }
+
+    if (!RETRYABLE_STATUSES.includes(original.status)) {
+      return res.status(409).json({
+        error: "Only failed or cancelled fix jobs can be retried",
+        currentStatus: original.status,
+      });
+    }
+
+    const { data: analysis, error: analysisError } = await supabase
+      .from("analyses")
+      .select("*")
+      .eq("analysis_id", original.analysis_id)
+      .single();
+
+    if (analysisError || !analysis) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+
+    const newJobId = `autofix-${Date.now()}-${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+    const jobParams = original.job_params || { autoMerge: false };
+
+    // Retrying an apply job applies its dry run again
+    if (
+      original.apply_of &&
+      !(await claimDryRun(original.apply_of, jobId, newJobId))
+    ) {
+      return res.status(409).json({
+        error: "Dry run has been applied by another job",
+        applyOf: original.apply_of,
+      });
+    }
+
+    const { error: insertError } = await supabase
+      .from("autonomous_fix_jobs")
+      .insert({
+        job_id: newJobId,
+        analysis_id: original.analysis_id,
+        user_id: userId,
+        repo_name: original.repo_name,
+        repo_owner: original.repo_owner,
+        status: "initializing",
+        progress: 0,
+        message: "Retry waiting in queue...",
+        mode: jobParams.mode || "pr",
+        apply_of: jobParams.applyOf || null,
+        job_params: jobParams,
+        retry_of: jobId,
+        created_at: new Date().toISOString(),
+      });
+
+    if (insertError) throw insertError;
+
+    publishUserEvent(userId, "job.created", {
+      kind: "autonomous_fix",
+      id: newJobId,
+      analysisId: original.analysis_id,
+      repoOwner: original.repo_owner,
+      repoName: original.repo_name,
+      status: "initializing",
+      retryOf: jobId,
+    });
+
+    const queuePosition = jobQueue.enqueue("autonomous_fix", newJobId, userId, {
+      analysis,
+      accessToken,
+      ...jobParams,
+    });
+
+    res.json({
+      success: true,
+      jobId: newJobId,
+      analysisId: original.analysis_id,
+      retryOf: jobId,
+      queuePosition,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to retry fix job",
+      details: error.message,
+    });
+  }
+};
+
+exports.getAutonomousFixPatch = async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data, error } = await supabase
+      .from("autonomous_fix_jobs")
+      .select("job_id, user_id, repo_owner, repo_name, patch")
+      .eq("job_id", jobId)
+      .single();
+
+    if (error || !data || !userId || data.user_id !== userId) {
+      return res.status(404).json({ error: "Fix job not found" });
+    }
+
+    if (!data.patch) {
+      return res.status(404).json({ error: "Fix job has no stored patch" });
+    }
+
+    res.setHeader("Content-Type", "text/x-diff; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${data.repo_owner}-${data.repo_name}-${jobId}.patch"`
+    );
+    res.send(data.patch);
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to get patch",
+      details: error.message,
+    });
+  }
+};
+
+// Pushes the reviewed patch of a dry run and opens its PR as a new job
+exports.applyAutonomousFix = async (req, res) => {
+  const { jobId } = req.params;
+  const accessToken = req.body?.accessToken || req.githubToken;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  if (!accessToken) {
+    return res
+      .status(400)
+      .json({ error: "Missing required field: accessToken" });
+  }
+
+  try {
+    const { data: dryRun, error } = await supabase
+      .from("autonomous_fix_jobs")
+      .select(
+        "job_id, analysis_id, user_id, repo_owner, repo_name, status, mode, patch, applied_job_id, job_params"
+      )
+      .eq("job_id", jobId)
+      .single();
+
+    if (error || !dryRun || !userId || dryRun.user_id !== userId) {
+      return res.status(404).json({ error: "Fix job not found" });
+    }
+
+    if (dryRun.mode !== "dry_run" || dryRun.status !== "completed") {
+      return res.status(409).json({
+        error: "Only completed dry runs can be applied",
+        currentStatus: dryRun.status,
+        mode: dryRun.mode || "pr",
+      });
+    }
+
+    if (!dryRun.patch) {
+      return res.status(409).json({ error: "Dry run has no stored patch" });
+    }
+
+    // A patch is applied once, unless that attempt did not get through
+    if (dryRun.applied_job_id) {
+      const { data: applied } = await supabase
+        .from("autonomous_fix_jobs")
+        .select("status")
+        .eq("job_id", dryRun.applied_job_id)
+        .single();
+
+      if (applied && !RETRYABLE_STATUSES.includes(applied.status)) {
+        return res.status(409).json({
+          error: "Dry run has already been applied",
+          appliedJobId: dryRun.applied_job_id,
+        });
+      }
+    }
+
+    const { data: analysis, error: analysisError } = await supabase
+      .from("analyses")
+      .select("*")
+      .eq("analysis_id", dryRun.analysis_id)
+      .single();
+
+    if (analysisError || !analysis) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+
+    const newJobId = `autofix-${Date.now()}-${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+    const jobParams = {
+      autoMerge: dryRun.job_params?.autoMerge || false,
+      mode: "apply",
+      applyOf: jobId,
+    };
+
+    // Concurrent applies read the same applied_job_id; only one claims it
+    if (!(await claimDryRun(jobId, dryRun.applied_job_id, newJobId))) {
+      return res.status(409).json({
+        error: "Dry run is already being applied",
+      });
+    }
+
+    const { error: insertError } = await supabase
+      .from("autonomous_fix_jobs")
+      .insert({
+        job_id: newJobId,
+        analysis_id: dryRun.analysis_id,
+        user_id: userId,
+        repo_name: dryRun.repo_name,
+        repo_owner: dryRun.repo_owner,
+        status: "initializing",
+        progress: 0,
+        message: "Waiting in queue...",
+        mode: "apply",
+        apply_of: jobId,
+        job_params: jobParams,
+        created_at: new Date().toISOString(),
+      });
+
+    if (insertError) throw insertError;
+
+    publishUserEvent(userId, "job.created", {
+      kind: "autonomous_fix",
+      id: newJobId,
+      analysisId: dryRun.analysis_id,
+      repoOwner: dryRun.repo_owner,
+      repoName: dryRun.repo_name,
+      status: "initializing",
+      applyOf: jobId,
+    });
+
+    const queuePosition = jobQueue.enqueue("autonomous_fix", newJobId, userId, {
+      analysis,
+      accessToken,
+      ...jobParams,
+    });
+
+    res.json({
+      success: true,
+      jobId: newJobId,
+      applyOf: jobId,
+      queuePosition,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to apply dry run",
+      details: error.message,
+    });
+  }
+};
+
+exports.deleteAnalysis = async (req, res) => {
+  const { analysisId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data, error } = await supabase
+      .from("analyses")
+      .select("analysis_id, user_id, status")
+      .eq("analysis_id", analysisId)
+      .single();
+
+    if (error || !data || !userId || data.user_id !== userId) {
+      return res.status(404).json({ error: "Analysis not found" });
+    }
+
+    const { data: fixJobs, error: fixError } = await supabase
+      .from("autonomous_fix_jobs")
+      .select("job_id, status")
+      .eq("analysis_id", analysisId);
+
+    if (fixError) throw fixError;
+
+    if (
+      !TERMINAL_STATUSES.includes(data.status) ||
+      fixJobs.some((job) => !TERMINAL_STATUSES.includes(job.status))
+    ) {
+      return res.status(409).json({
+        error:
+          "Analysis or one of its fix jobs is still running; cancel it first",
+        currentStatus: data.status,
+      });
+    }
+
+    for (const job of fixJobs) {
+      await removeFixJob(job.job_id);
+      publishUserEvent(data.user_id, "job.deleted", {
+        kind: "autonomous_fix",
+        id: job.job_id,
+        analysisId,
+      });
+    }
+
+    // Findings keep their history; only this analysis' occurrences go
     await supabase
+      .from("analysis_findings")
+      .delete()
+      .eq("analysis_id", analysisId);
+
+    const { error: deleteError } = await supabase
+      .from("analyses")
+      .delete()
+      .eq("analysis_id", analysisId);
+
+    if (deleteError) throw deleteError;
+
+    publishUserEvent(data.user_id, "job.deleted", {
+      kind: "analysis",
+      id: analysisId,
+    });
+
+    res.json({
+      success: true,
+      analysisId,
+      deletedFixJobs: fixJobs.map((job) => job.job_id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to delete analysis",
+      details: error.message,
+    });
+  }
+};
+
+exports.deleteAutonomousFix = async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user?.id ? String(req.user.id) : null;
+
+  try {
+    const { data, error } = await supabase
       .from("autonomous_fix_jobs")
-      .update({ high_impact_issues: highImpactIssues })
-      .eq("job_id", fixJobId);
+      .select("job_id, analysis_id, user_id, status")
+      .eq("job_id", jobId)
+      .single();
+
+    if (error || !data || !userId || data.user_id !== userId) {
+      return res.status(404).json({ error: "Fix job not found" });
+    }
+
+    if (!TERMINAL_STATUSES.includes(data.status)) {
+      return res.status(409).json({
+        error: "Fix job is still running; cancel it first",
+        currentStatus: data.status,
+      });
+    }
+
+    await removeFixJob(jobId);
+
+    publishUserEvent(data.user_id, "job.deleted", {
+      kind: "autonomous_fix",
+      id: jobId,
+      analysisId: data.analysis_id,
+    });
+
+    res.json({ success: true, jobId });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to delete fix job",
+      details: error.message,
+    });
+  }
+};
+
+function summarizeForCompare(analysis) {
+  return {
+    analysisId: analysis.analysis_id,
+    repo: `${analysis.repo_owner}/${analysis.repo_name}`,
+    commitSha: analysis.commit_sha || null,
+    profile: analysis.profile || DEFAULT_PROFILE,
+    profileVersion: analysis.profile_version || null,
+    status: analysis.status,
+    completedAt: analysis.completed_at,
+  };
+}
+
+function delta(before, after) {
+  return typeof before === "number" && typeof after === "number"
+    ? Math.round((after - before) * 10) / 10
+    : null;
+}
+
+function compareScores(before = {}, after = {}) {
+  const categories = {};
+  const names = new Set([
+    ...Object.keys(before?.categories || {}),
+    ...Object.keys(after?.categories || {}),
+  ]);
+
+  names.forEach((name) => {
+    const b = before?.categories?.[name]?.score ?? null;
+    const a = after?.categories?.[name]?.score ?? null;
+    categories[name] = { base: b, compared: a, delta: delta(b, a) };
+  });
+
+  return {
+    base: before?.score ?? null,
+    compared: after?.score ?? null,
+    delta: delta(before?.score, after?.score),
+    grade: { base: before?.grade ?? null, compared: after?.grade ?? null },
+    categories,
+  };
+}
+
+function compareStructure(before = {}, after = {}) {
+  const metric = (read) => {
+    const b = read(before || {});
+    const a = read(after || {});
+    return { base: b ?? null, compared: a ?? null, delta: delta(b, a) };
+  };
+
+  const languages = {};
+  const languageLines = (structure) =>
+    Object.fromEntries(
+      (structure?.languages || []).map((l) => [l.language, l.lines])
+    );
+  const beforeLines = languageLines(before);
+  const afterLines = languageLines(after);
+
+  new Set([...Object.keys(beforeLines), ...Object.keys(afterLines)]).forEach(
+    (language) => {
+      const b = beforeLines[language] || 0;
+      const a = afterLines[language] || 0;
+      languages[language] = { base: b, compared: a, delta: a - b };
+    }
+  );
+
+  return {
+    totalFiles: metric((s) => s.totalFiles),
+    totalLines: metric((s) => s.totalLines),
+    sourceFiles: metric((s) => s.sourceFiles),
+    testFiles: metric((s) => s.testFiles?.count),
+    languages,
+  };
+}
+
+// =============================
+// JOB QUEUE
+// =============================
+
+jobQueue.registerJobType("analysis", {
+  run: (analysisId, params, signal) =>
+    performAnalysis(analysisId, params, signal),
+  recover: recoverAnalyses,
+  heartbeat: (ids) => heartbeatJobs("analysis", ids),
+});
+
+jobQueue.registerJobType("ai_fix", {
+  run: async (analysisId, params) => {
+    await supabase
+      .from("analyses")
+      .update({ ai_fix_result: { status: "running" } })
+      .eq("analysis_id", analysisId);
+
+    return runAIFixWorkflow(params.analysis, params.accessToken);
+  },
+  recover: recoverAIFixes,
+  heartbeat: (ids) => heartbeatJobs("ai_fix", ids),
+});
 
-    await updateFixJobProgress(
+jobQueue.registerJobType("autonomous_fix", {
+  run: (fixJobId, params, signal) =>
+    runAutonomousHighImpactFix(
       fixJobId,
-      "cloning",
-      20,
-      "Cloning repository..."
+      params.analysis,
+      params.accessToken,
+      params.autoMerge,
+      signal,
+      { mode: params.mode, applyOf: params.applyOf }
+    ),
+  recover: recoverAutonomousFixes,
+  heartbeat: (ids) => heartbeatJobs("autonomous_fix", ids),
+});
+
+// Marks the rows of jobs queued or running here as held by this instance
+async function heartbeatJobs(kind, ids) {
+  const { table, idColumn } = JOB_TABLES[kind];
+  const { error } = await supabase
+    .from(table)
+    .update({
+      instance_id: jobQueue.instanceId,
+      heartbeat_at: new Date().toISOString(),
+    })
+    .in(idColumn, ids);
+
+  if (error) throw error;
+}
+
+// Keeps the rows this instance may recover (its own, or ones whose instance
+// went quiet) and claims each with a conditional update, so two instances
+// starting together never both take over the same job.
+async function claimOrphanedJobs(kind, rows) {
+  const { table, idColumn } = JOB_TABLES[kind];
+  const claimed = [];
+
+  for (const row of rows) {
+    if (!jobQueue.isOrphaned(row)) continue;
+
+    let query = supabase
+      .from(table)
+      .update({
+        instance_id: jobQueue.instanceId,
+        heartbeat_at: new Date().toISOString(),
+      })
+      .eq(idColumn, row[idColumn]);
+    query = row.heartbeat_at
+      ? query.eq("heartbeat_at", row.heartbeat_at)
+      : query.is("heartbeat_at", null);
+
+    const { data, error } = await query.select(idColumn);
+    if (error) throw error;
+    if (data.length > 0) claimed.push(row);
+  }
+
+  return claimed;
+}
+
+// Analyses restart from scratch. The access token is never persisted, so a
+// recovered analysis runs without the optional AI fix step.
+async function recoverAnalyses() {
+  const { data, error } = await supabase
+    .from("analyses")
+    .select(
+      "analysis_id, user_id, repo_url, repo_name, repo_owner, ref, job_params, instance_id, heartbeat_at, created_at"
+    )
+    .not("status", "in", `(${TERMINAL_STATUSES.join(",")})`)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+
+  const claimed = await claimOrphanedJobs("analysis", data);
+
+  for (const row of claimed) {
+    await updateProgress(
+      row.analysis_id,
+      "pending",
+      0,
+      0,
+      "Re-queued after server restart..."
     );
+  }
+
+  return claimed.map((row) => ({
+    id: row.analysis_id,
+    userId: row.user_id,
+    payload: {
+      repoUrl: row.repo_url,
+      repoName: row.repo_name,
+      owner: row.repo_owner,
+      ref: row.ref || null,
+      ...row.job_params,
+      userId: row.user_id,
+      enableAIFix: false,
+    },
+  }));
+}
+
+// AI fixes need the caller's token, which is only held in memory
+async function recoverAIFixes() {
+  const { data, error } = await supabase
+    .from("analyses")
+    .select("analysis_id, instance_id, heartbeat_at, created_at")
+    .in("ai_fix_result->>status", ["queued", "running"]);
+
+  if (error) throw error;
+
+  for (const row of await claimOrphanedJobs("ai_fix", data)) {
+    await supabase
+      .from("analyses")
+      .update({
+        ai_fix_result: {
+          success: false,
+          error: "Server restarted before the AI fix finished",
+        },
+      })
+      .eq("analysis_id", row.analysis_id);
+  }
+
+  return [];
+}
+
+// Fix jobs push with the caller's token and may have pushed a branch already,
+// so orphaned jobs are failed rather than replayed.
+async function recoverAutonomousFixes() {
+  const { data, error } = await supabase
+    .from("autonomous_fix_jobs")
+    .select("job_id, instance_id, heartbeat_at, created_at")
+    .not("status", "in", `(${TERMINAL_STATUSES.join(",")})`);
+
+  if (error) throw error;
+
+  const claimed = await claimOrphanedJobs("autonomous_fix", data);
+
+  for (const row of claimed) {
+    await supabase
+      .from("autonomous_fix_jobs")
+      .update({
+        status: "failed",
+        error: "Server restarted before the fix finished. Start a new fix.",
+        updated_at: new Date().toISOString(),
+      })
+      .eq("job_id", row.job_id);
+    await recordFixJobEvent(row.job_id, "failed", {
+      error: "Server restarted before the fix finished. Start a new fix.",
+      phase: null,
+    });
+  }
+
+  if (claimed.length > 0) {
+    console.log(`⚠️ Failed ${claimed.length} orphaned autonomous fix job(s)`);
+  }
+
+  return [];
+}
+
+// =============================
+// AUTONOMOUS FIX WORKFLOW
+// =============================
+
+async function runAutonomousHighImpactFix(
+  fixJobId,
+  analysis,
+  accessToken,
+  autoMerge,
+  signal,
+  { mode = "pr", applyOf = null } = {}
+) {
+  let tempDir = null;
+  const transcript = agentLog.openTranscript("autonomous_fix", fixJobId, {
+    secrets: [accessToken],
+  });
+  let phase = "initializing";
+
+  const enterPhase = (next, progress, message) => {
+    phase = next;
+    return updateFixJobProgress(fixJobId, next, progress, message);
+  };
+
+  try {
+    console.log(`\n🤖 AUTONOMOUS FIX: ${fixJobId}`);
+
+    // The repo's .devpulse.yml decides which issues qualify, so clone first
+    await enterPhase("cloning", 10, "Cloning repository...");
 
     tempDir = path.join(__dirname, "../temp", fixJobId);
     await fs.mkdir(tempDir, { recursive: true });
-    await cloneRepository(analysis.repo_url, tempDir);
+    await cloneRepository(analysis.repo_url, tempDir, {
+      signal,
+      token: accessToken,
+    });
 
-    await updateFixJobProgress(fixJobId, "fixing", 40, "Generating fixes...");
+    let repoConfig;
+    let highImpactIssues;
+    let fixResult;
 
-    const fixResult = await generateHighImpactFixes(
-      tempDir,
-      highImpactIssues,
-      analysis
-    );
+    if (mode === "apply") {
+      // The stored patch is replayed on the commit it was made against
+      const { data: source, error: sourceError } = await supabase
+        .from("autonomous_fix_jobs")
+        .select(
+          "patch, base_sha, repo_config, high_impact_issues, fixes_applied"
+        )
+        .eq("job_id", applyOf)
+        .single();
+
+      if (sourceError || !source?.patch) {
+        throw new Error(`Dry run ${applyOf} has no stored patch`);
+      }
+
+      repoConfig = { ...DEFAULT_REPO_CONFIG, ...(source.repo_config || {}) };
+      highImpactIssues = source.high_impact_issues || [];
+      fixResult = source.fixes_applied;
+
+      await checkoutRef(tempDir, source.base_sha, {
+        signal,
+        token: accessToken,
+      });
+
+      await supabase
+        .from("autonomous_fix_jobs")
+        .update({
+          repo_config: source.repo_config,
+          base_sha: source.base_sha,
+          high_impact_issues: highImpactIssues,
+        })
+        .eq("job_id", fixJobId);
+
+      await recordFixJobEvent(fixJobId, "issues", { issues: highImpactIssues });
+
+      await enterPhase("fixing", 40, "Applying reviewed patch...");
+      await applyPatch(tempDir, source.patch);
+      signal?.throwIfAborted();
+    } else {
+      const { source: configSource, config } = await loadRepoConfig(tempDir);
+      repoConfig = config;
+
+      if (repoConfig.fix.baseBranch) {
+        await checkoutRef(tempDir, repoConfig.fix.baseBranch, {
+          signal,
+          token: accessToken,
+        });
+      }
+
+      await supabase
+        .from("autonomous_fix_jobs")
+        .update({
+          repo_config: { source: configSource, ...repoConfig },
+          base_sha: await getHeadSha(tempDir),
+        })
+        .eq("job_id", fixJobId);
+
+      await enterPhase("analyzing", 20, "Analyzing issues...");
+
+      highImpactIssues = await identifyHighImpactIssues(analysis, repoConfig);
+
+      await recordFixJobEvent(fixJobId, "issues", {
+        issues: highImpactIssues,
+      });
+
+      if (highImpactIssues.length === 0) {
+        await recordFixJobEvent(fixJobId, "completed", {
+          message: "No high-impact issues detected",
+          prUrl: null,
+          filesModified: [],
+        });
+        await supabase
+          .from("autonomous_fix_jobs")
+          .update({
+            status: "completed",
+            progress: 100,
+            message: "No high-impact issues detected",
+            completed_at: new Date().toISOString(),
+          })
+          .eq("job_id", fixJobId);
+        await cleanupTempDir(tempDir);
+        return;
+      }
+
+      console.log(`🚨 Found ${highImpactIssues.length} high-impact issues`);
+
+      await supabase
+        .from("autonomous_fix_jobs")
+        .update({ high_impact_issues: highImpactIssues })
+        .eq("job_id", fixJobId);
+
+      await enterPhase("fixing", 40, "Generating fixes...");
+
+      fixResult = await generateHighImpactFixes(
+        tempDir,
+        highImpactIssues,
+        analysis,
+        signal,
+        repoConfig,
+        transcript.onOutput
+      );
+      signal?.throwIfAborted();
+
+      if (!fixResult.success) {
+        throw new Error(`Fix generation failed: ${fixResult.error}`);
+      }
 
-    if (!fixResult.success) {
-      throw new Error(`Fix generation failed: ${fixResult.error}`);
+      const reverted = await revertProtectedFiles(
+        tempDir,
+        repoConfig.fix.neverTouch
+      );
+      if (reverted.length > 0) {
+        console.log(`↩️ Reverted changes to protected files: ${reverted}`);
+        fixResult.revertedFiles = reverted;
+      }
     }
 
-    await updateFixJobProgress(
-      fixJobId,
-      "committing",
-      60,
-      "Committing changes..."
+    // What gets committed is whatever is in the working tree now, not what
+    // the agent said it did
+    let changes = await getWorkingTreeChanges(tempDir);
+
+    // A reviewed patch is pushed as-is or not at all
+    const policy = resolveFixPolicy(
+      await getUserFixPolicy(analysis.user_id),
+      repoConfig.fix.policy
     );
+    const policyCheck = await enforceFixPolicy(tempDir, changes, policy, {
+      revert: mode !== "apply",
+    });
+
+    await supabase
+      .from("autonomous_fix_jobs")
+      .update({
+        policy_report: {
+          policy,
+          violations: policyCheck.violations,
+          reverted: policyCheck.reverted,
+          passed: policyCheck.passed,
+        },
+      })
+      .eq("job_id", fixJobId);
+
+    if (policyCheck.violations.length > 0) {
+      await recordFixJobEvent(fixJobId, "policy", {
+        violations: policyCheck.violations,
+        reverted: policyCheck.reverted,
+        passed: policyCheck.passed,
+      });
+    }
+
+    if (!policyCheck.passed) {
+      throw new Error(
+        `Fix policy violated:\n${formatViolations(policyCheck.violations)}`
+      );
+    }
+
+    if (policyCheck.reverted.length > 0) {
+      console.log(
+        `↩️ Reverted changes the fix policy forbids: ${policyCheck.reverted}`
+      );
+      changes = policyCheck.changes;
+      fixResult.revertedFiles = [
+        ...(fixResult.revertedFiles || []),
+        ...policyCheck.reverted,
+      ];
+      fixResult.policyViolations = policyCheck.violations;
+    }
+
+    if (changes.files.length === 0) {
+      throw new Error(
+        fixResult.revertedFiles?.length > 0
+          ? `The agent only changed protected files, which were reverted: ${fixResult.revertedFiles.join(
+              ", "
+            )}`
+          : "The agent did not change any files"
+      );
+    }
+
+    fixResult = { ...fixResult, ...describeChanges(changes) };
+    const patch =
+      Buffer.byteLength(changes.diff) <= MAX_PATCH_BYTES ? changes.diff : null;
+
+    await recordFixJobEvent(fixJobId, "files", {
+      filesModified: fixResult.filesModified,
+      changes: fixResult.changes,
+      stats: fixResult.stats,
+      revertedFiles: fixResult.revertedFiles || [],
+    });
+
+    const baseBranch = repoConfig.fix.baseBranch || "main";
+
+    if (policy.verification !== "off") {
+      await enterPhase("verifying", 50, "Running tests and linters...");
+    }
+
+    const verification = await verifyFix(tempDir, repoConfig, policy, {
+      signal,
+      onOutput: transcript.onOutput,
+      secrets: [accessToken],
+    });
+
+    await supabase
+      .from("autonomous_fix_jobs")
+      .update({ verification })
+      .eq("job_id", fixJobId);
+
+    await recordFixJobEvent(fixJobId, "verification", {
+      status: verification.status,
+      reason: verification.reason,
+      policy: verification.policy,
+      steps: verification.steps.map(({ output, ...step }) => step),
+    });
+
+    // A dry run is reviewed by a person anyway; its apply job verifies again
+    if (
+      verification.status === "failed" &&
+      policy.verification === "block" &&
+      mode !== "dry_run"
+    ) {
+      throw new Error(
+        `Verification failed, PR blocked by fix policy:\n${verification.steps
+          .filter((step) => step.status === "failed")
+          .map(describeStep)
+          .join("\n")}`
+      );
+    }
+
+    if (mode === "dry_run") {
+      if (!patch) {
+        throw new Error(
+          `Patch is larger than ${MAX_PATCH_BYTES} bytes and cannot be stored`
+        );
+      }
+
+      const message =
+        verification.status === "failed"
+          ? "Dry run complete: patch ready for review, verification failed"
+          : "Dry run complete: patch ready for review";
+
+      await recordFixJobEvent(fixJobId, "completed", {
+        message,
+        dryRun: true,
+        prUrl: null,
+        filesModified: fixResult.filesModified,
+      });
+
+      await supabase
+        .from("autonomous_fix_jobs")
+        .update({
+          status: "completed",
+          progress: 100,
+          message,
+          fixes_applied: fixResult,
+          files_modified: fixResult.filesModified,
+          patch,
+          completed_at: new Date().toISOString(),
+        })
+        .eq("job_id", fixJobId);
+
+      console.log(`📝 Dry run completed: ${fixJobId}`);
+
+      await cleanupTempDir(tempDir);
+      return;
+    }
+
+    await enterPhase("committing", 60, "Committing changes...");
 
     const branchName = `devpulse-fix-${Date.now()}`;
 
@@ -583,16 +3146,19 @@ async function runAutonomousHighImpactFix(
       tempDir
     );
     await runCommand("git", ["checkout", "-b", branchName], tempDir);
-    await runCommand("git", ["add", "."], tempDir);
+    await runCommand("git", ["add", "-A"], tempDir);
 
     const commitMessage = buildCommitMessage(highImpactIssues, fixResult);
     await runCommand("git", ["commit", "-m", commitMessage], tempDir);
 
-    await updateFixJobProgress(fixJobId, "pushing", 75, "Pushing changes...");
+    // Last point where a cancel can stop the job before anything is pushed
+    signal?.throwIfAborted();
+
+    await enterPhase("pushing", 75, "Pushing changes...");
 
     await pushToGitHub(tempDir, branchName, accessToken, analysis.repo_url);
 
-    await updateFixJobProgress(fixJobId, "creating_pr", 90, "Creating PR...");
+    await enterPhase("creating_pr", 90, "Creating PR...");
 
     const pr = await createProductionReadyPR(
       analysis.repo_owner,
@@ -600,9 +3166,18 @@ async function runAutonomousHighImpactFix(
       branchName,
       highImpactIssues,
       fixResult,
-      accessToken
+      accessToken,
+      baseBranch,
+      verification
     );
 
+    await recordFixJobEvent(fixJobId, "completed", {
+      message: "PR created successfully",
+      prUrl: pr.html_url,
+      prNumber: pr.number,
+      filesModified: fixResult.filesModified,
+    });
+
     await supabase
       .from("autonomous_fix_jobs")
       .update({
@@ -611,6 +3186,7 @@ async function runAutonomousHighImpactFix(
         message: "PR created successfully",
         fixes_applied: fixResult,
         files_modified: fixResult.filesModified,
+        patch,
         pr_url: pr.html_url,
         pr_number: pr.number,
         completed_at: new Date().toISOString(),
@@ -619,10 +3195,38 @@ async function runAutonomousHighImpactFix(
 
     console.log(`✅ Fix completed: ${pr.html_url}`);
 
+    await webhooks.dispatchEvent(analysis.user_id, "fix.pr_created", {
+      ...fixWebhookData(fixJobId, analysis),
+      prUrl: pr.html_url,
+      prNumber: pr.number,
+      baseBranch,
+      branch: branchName,
+      issues: highImpactIssues.length,
+      filesModified: fixResult.filesModified,
+      stats: fixResult.stats,
+    });
+
     await cleanupTempDir(tempDir);
   } catch (error) {
+    if (signal?.aborted) {
+      console.log(`🛑 Fix cancelled: ${fixJobId}`);
+      await markCancelled("autonomous_fix_jobs", "job_id", fixJobId, phase);
+      if (tempDir) await cleanupTempDir(tempDir);
+      return;
+    }
+
     console.error(`❌ Fix failed: ${error.message}`);
 
+    await recordFixJobEvent(fixJobId, "failed", {
+      error: error.message,
+      phase,
+    });
+    await webhooks.dispatchEvent(analysis.user_id, "fix.failed", {
+      ...fixWebhookData(fixJobId, analysis),
+      error: error.message,
+      phase,
+    });
+
     await supabase
       .from("autonomous_fix_jobs")
       .update({
@@ -633,6 +3237,8 @@ async function runAutonomousHighImpactFix(
       .eq("job_id", fixJobId);
 
     if (tempDir) await cleanupTempDir(tempDir);
+  } finally {
+    await transcript.close();
   }
 }
 
@@ -640,15 +3246,14 @@ async function runAutonomousHighImpactFix(
 // CORE ANALYSIS WORKFLOW
 // =============================
 
-async function performAnalysis(
-  analysisId,
-  repoUrl,
-  repoName,
-  owner,
-  enableAIFix,
-  accessToken
-) {
+async function performAnalysis(analysisId, params, signal) {
+  const { repoUrl, repoName, owner, enableAIFix, accessToken, ref, force } =
+    params;
+  const cloneToken = params.githubToken || accessToken;
   let tempDir = null;
+  const transcript = agentLog.openTranscript("analysis", analysisId, {
+    secrets: [cloneToken, accessToken],
+  });
 
   try {
     console.log(`\n🚀 Analysis: ${analysisId}`);
@@ -656,11 +3261,63 @@ async function performAnalysis(
     const isProduction =
       process.env.VERCEL === "1" || process.env.NODE_ENV === "production";
 
+    // Jobs recovered after a restart may name a profile that was removed
+    const profile = getProfile(params.profile || DEFAULT_PROFILE);
+    if (!profile)
+      throw new Error(`Unknown analysis profile: ${params.profile}`);
+
+    const configKey = getAnalysisConfigKey(profile);
+
+    await updateProgress(analysisId, "cloning", 5, 1, "Resolving commit...");
+    const remoteSha = await resolveRemoteRef(repoUrl, ref, {
+      signal,
+      token: cloneToken,
+    }).catch(() => null);
+
+    if (
+      remoteSha &&
+      !force &&
+      (await reuseCachedAnalysis(analysisId, params, remoteSha, configKey))
+    ) {
+      return;
+    }
+
     tempDir = path.join(__dirname, "../temp", analysisId);
     await fs.mkdir(tempDir, { recursive: true });
 
     await updateProgress(analysisId, "cloning", 15, 1, "Cloning repository...");
-    await cloneRepository(repoUrl, tempDir);
+    await cloneRepository(repoUrl, tempDir, {
+      signal,
+      ref,
+      token: cloneToken,
+    });
+
+    const commitSha = await getHeadSha(tempDir);
+
+    // Short SHAs are only resolvable after the clone
+    if (
+      !remoteSha &&
+      !force &&
+      (await reuseCachedAnalysis(analysisId, params, commitSha, configKey))
+    ) {
+      await cleanupTempDir(tempDir);
+      return;
+    }
+
+    const { source: configSource, config: repoConfig } = await loadRepoConfig(
+      tempDir
+    );
+
+    await supabase
+      .from("analyses")
+      .update({
+        commit_sha: commitSha,
+        config_key: configKey,
+        profile: profile.name,
+        profile_version: profile.version,
+        repo_config: { source: configSource, ...repoConfig },
+      })
+      .eq("analysis_id", analysisId);
 
     await updateProgress(
       analysisId,
@@ -669,7 +3326,16 @@ async function performAnalysis(
       2,
       "Analyzing structure..."
     );
-    const structure = await analyzeStructure(tempDir);
+    const structure = await analyzeStructure(tempDir, {
+      ignore: repoConfig.ignore,
+    });
+
+    // Saved before the AI step so the report survives an AI failure
+    await supabase
+      .from("analyses")
+      .update({ structure })
+      .eq("analysis_id", analysisId);
+    signal?.throwIfAborted();
 
     await updateProgress(
       analysisId,
@@ -678,7 +3344,20 @@ async function performAnalysis(
       5,
       "Running AI analysis..."
     );
-    const aiAnalysis = await runAIAnalysis(tempDir);
+    const aiAnalysis = applySuppressions(
+      filterIgnoredFindings(
+        await runAIAnalysis(
+          tempDir,
+          signal,
+          repoConfig,
+          profile,
+          transcript.onOutput
+        ),
+        repoConfig.ignore
+      ),
+      await getActiveSuppressions(params.userId, owner, repoName)
+    );
+    signal?.throwIfAborted();
 
     await updateProgress(
       analysisId,
@@ -687,27 +3366,58 @@ async function performAnalysis(
       6,
       "Calculating score..."
     );
-    const codeQuality = calculateScore(aiAnalysis);
+    const codeQuality = scoreAnalysis(aiAnalysis, structure);
+
+    const suppressedCount = aiAnalysis.suppressed?.length || 0;
+
+    // Output that never passed validation is kept, but not presented as a result
+    const outcome = {
+      status: aiAnalysis.partial ? "partial" : "completed",
+      progress: 100,
+      step: 6,
+      message: aiAnalysis.partial
+        ? "Analysis partially complete: AI output failed validation"
+        : `Analysis complete${
+            suppressedCount > 0 ? ` (${suppressedCount} suppressed)` : ""
+          }`,
+    };
 
     await supabase
       .from("analyses")
       .update({
-        status: "completed",
-        progress: 100,
-        current_step: 6,
-        message: "Analysis complete",
+        status: outcome.status,
+        progress: outcome.progress,
+        current_step: outcome.step,
+        message: outcome.message,
         structure,
         code_quality: codeQuality,
         ai_analysis: aiAnalysis,
+        suppressed_count: suppressedCount,
         completed_at: new Date().toISOString(),
       })
       .eq("analysis_id", analysisId);
 
+    progressBus.publish("analysis", analysisId, outcome);
     console.log(`✅ Analysis completed: ${analysisId}`);
 
+    if (!aiAnalysis.partial) {
+      await trackFindings(analysisId, params, aiAnalysis);
+    }
+
+    await webhooks.dispatchEvent(params.userId, "analysis.completed", {
+      ...analysisWebhookData(analysisId, params),
+      status: outcome.status,
+      commitSha,
+      score: codeQuality.score,
+      grade: codeQuality.grade,
+      bugs: aiAnalysis.bugs?.length || 0,
+      security: aiAnalysis.security?.length || 0,
+      suppressed: suppressedCount,
+    });
+
     if (enableAIFix && accessToken) {
       await runAIFixWorkflow(
-        { analysisId, repoName, owner, repoUrl },
+        { analysisId, userId: params.userId, repoName, owner, repoUrl },
         accessToken,
         tempDir
       );
@@ -715,6 +3425,13 @@ async function performAnalysis(
       await cleanupTempDir(tempDir);
     }
   } catch (error) {
+    if (signal?.aborted) {
+      console.log(`🛑 Analysis cancelled: ${analysisId}`);
+      await markCancelled("analyses", "analysis_id", analysisId);
+      if (tempDir) await cleanupTempDir(tempDir);
+      return;
+    }
+
     console.error(`❌ Analysis failed: ${error.message}`);
 
     await supabase
@@ -725,8 +3442,19 @@ async function performAnalysis(
         updated_at: new Date().toISOString(),
       })
       .eq("analysis_id", analysisId);
+    progressBus.publish("analysis", analysisId, {
+      status: "failed",
+      error: error.message,
+    });
+    await webhooks.dispatchEvent(params.userId, "analysis.failed", {
+      ...analysisWebhookData(analysisId, params),
+      status: "failed",
+      error: error.message,
+    });
 
     if (tempDir) await cleanupTempDir(tempDir);
+  } finally {
+    await transcript.close();
   }
 }
 
@@ -734,50 +3462,101 @@ async function performAnalysis(
 // HELPER FUNCTIONS
 // =============================
 
-function identifyHighImpactIssues(analysis) {
+// Reads the analysis' tracked findings, so issue ids are finding ids and
+// dismissed or suppressed findings are never sent to the fixer. The repo
+// config sets the severity thresholds and the files that are off limits.
+async function identifyHighImpactIssues(
+  analysis,
+  repoConfig = DEFAULT_REPO_CONFIG
+) {
+  const { thresholds } = repoConfig;
+
+  let findings = await getAnalysisFindings(analysis.analysis_id);
+
+  // Analyses completed before findings were tracked are read as they are:
+  // syncing an old analysis now would move the lifecycle back in time
+  if (findings.length === 0) {
+    findings = extractFindings(analysis.ai_analysis)
+      .filter((f) => f.category !== "recommendation")
+      .map((f) => ({ ...f, finding_id: null, status: "open" }));
+  }
+
+  // Suppressions created after the analysis ran still apply
+  const suppressions = await getActiveSuppressions(
+    analysis.user_id,
+    analysis.repo_owner,
+    analysis.repo_name
+  );
+
+  const highImpact = findings
+    .filter(
+      (f) =>
+        ACTIVE_STATUSES.includes(f.status) &&
+        meetsThreshold(
+          f.severity,
+          f.category === "security" ? thresholds.security : thresholds.bugs
+        ) &&
+        !(f.file && matchesAny(repoConfig.ignore, f.file)) &&
+        !(f.file && matchesAny(repoConfig.fix.neverTouch, f.file)) &&
+        !suppressions.some((s) => matchesSuppression(f, s))
+    )
+    .sort(
+      (a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+        String(a.file).localeCompare(String(b.file))
+    );
+
   const issues = [];
-  const aiAnalysis = analysis.ai_analysis || {};
-
-  if (aiAnalysis.security && Array.isArray(aiAnalysis.security)) {
-    aiAnalysis.security
-      .filter((s) => s.severity === "critical" || s.severity === "high")
-      .forEach((vuln) => {
-        issues.push({
-          id: `security-${issues.length}`,
-          type: "SECURITY",
-          severity: vuln.severity,
-          title: vuln.type || "Security Vulnerability",
-          description: vuln.description || "Security issue detected",
-          file: vuln.file,
-          priority: vuln.severity === "critical" ? 1 : 2,
-          fixable: true,
-        });
+
+  highImpact
+    .filter((f) => f.category === "security")
+    .forEach((vuln) => {
+      issues.push({
+        id: vuln.finding_id,
+        fingerprint: vuln.fingerprint,
+        type: "SECURITY",
+        severity: vuln.severity,
+        title: vuln.type || "Security Vulnerability",
+        description: vuln.description || "Security issue detected",
+        file: vuln.file,
+        line: vuln.line,
+        status: vuln.status,
+        priority: vuln.severity === "critical" ? 1 : 2,
+        fixable: true,
       });
-  }
+    });
 
-  if (aiAnalysis.bugs && Array.isArray(aiAnalysis.bugs)) {
-    aiAnalysis.bugs
-      .filter((b) => b.severity === "critical" || b.severity === "high")
-      .slice(0, 5)
-      .forEach((bug) => {
-        issues.push({
-          id: `bug-${issues.length}`,
-          type: "BUG",
-          severity: bug.severity,
-          title: bug.description?.substring(0, 100) || "Critical Bug",
-          description: bug.description,
-          file: bug.file,
-          priority: bug.severity === "critical" ? 1 : 3,
-          fixable: true,
-        });
+  highImpact
+    .filter((f) => f.category === "bug")
+    .slice(0, 5)
+    .forEach((bug) => {
+      issues.push({
+        id: bug.finding_id,
+        fingerprint: bug.fingerprint,
+        type: "BUG",
+        severity: bug.severity,
+        title: bug.description?.substring(0, 100) || "Critical Bug",
+        description: bug.description,
+        file: bug.file,
+        line: bug.line,
+        status: bug.status,
+        priority: bug.severity === "critical" ? 1 : 3,
+        fixable: true,
       });
-  }
+    });
 
   issues.sort((a, b) => a.priority - b.priority);
   return issues;
 }
 
-async function generateHighImpactFixes(repoPath, issues, analysis) {
+async function generateHighImpactFixes(
+  repoPath,
+  issues,
+  analysis,
+  signal,
+  repoConfig = DEFAULT_REPO_CONFIG,
+  onOutput
+) {
   const prompt = `Fix these high-impact issues. STRICT RULES:
 ❌ NO new packages/dependencies
 ❌ NO package.json changes
@@ -794,62 +3573,19 @@ ${issues
   )
   .join("\n\n")}
 
-Fix with minimal changes only.`;
-
-  try {
-    const output = await runClineTask(prompt, repoPath);
-    const fixResult = parseClineCodeOutput(output, issues);
-
-    if (!fixResult.success) {
-      return { success: false, error: "Failed to parse Cline output" };
-    }
-
-    return fixResult;
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
+Fix with minimal changes only.${promptSection(repoConfig, { forFix: true })}`;
 
-function parseClineCodeOutput(output, issues) {
   try {
-    const fileMatches = output.matchAll(
-      /(?:File:|filepath:|---\s+a\/)([^\s\n]+)/gi
-    );
-    const filesSet = new Set();
-
-    for (const match of fileMatches) {
-      const file = match[1].trim();
-      if (file && file.length > 0) filesSet.add(file);
-    }
-
-    if (filesSet.size === 0) {
-      issues.forEach((issue) => {
-        if (issue.file) filesSet.add(issue.file);
-      });
-    }
-
-    const filesModified = Array.from(filesSet);
-
-    if (filesModified.length === 0) {
-      return { success: false, error: "No files identified" };
-    }
-
-    const changes = filesModified.map((file) => ({
-      file,
-      issueFixed: issues[0]?.title || "Issue fixed",
-      changeDescription: "Applied security and quality improvements",
-      linesChanged: 15,
-    }));
+    await runClineTask(prompt, repoPath, signal, onOutput);
 
+    // The files and line counts come from the working tree afterwards
     return {
       success: true,
-      filesModified,
       fixesSummary: {
         security_fixes: issues.filter((i) => i.type === "SECURITY").length,
         bug_fixes: issues.filter((i) => i.type === "BUG").length,
         quality_improvements: 0,
       },
-      changes,
       testingNotes: "Review changes and test affected functionality",
       safetyRationale: "Minimal changes focused on identified issues",
     };
@@ -858,6 +3594,159 @@ function parseClineCodeOutput(output, issues) {
   }
 }
 
+// Undoes agent changes to files matching `neverTouch`; returns their paths
+async function revertProtectedFiles(repoPath, neverTouch) {
+  if (neverTouch.length === 0) return [];
+
+  const listFiles = async (args) =>
+    (await runCommand("git", args, repoPath)).split("\n").filter(Boolean);
+
+  const changed = (await listFiles(["diff", "--name-only", "HEAD"])).filter(
+    (file) => matchesAny(neverTouch, file)
+  );
+  const created = (
+    await listFiles(["ls-files", "--others", "--exclude-standard"])
+  ).filter((file) => matchesAny(neverTouch, file));
+
+  for (const file of changed) {
+    await runCommand("git", ["checkout", "HEAD", "--", file], repoPath);
+  }
+  for (const file of created) {
+    await fs.rm(path.join(repoPath, file), { force: true });
+  }
+
+  return [...changed, ...created];
+}
+
+// Checks a fix diff against the policy. With `revert`, files breaking a
+// file rule are restored and the size limits are checked on what is left;
+// otherwise any violation fails. Returns the remaining changes, the
+// violations, the reverted paths and whether the fix may proceed.
+async function enforceFixPolicy(repoPath, changes, policy, { revert = true }) {
+  const violations = fileViolations(changes, policy);
+  const reverted = [];
+
+  if (violations.length > 0 && (!revert || policy.onViolation === "fail")) {
+    return { changes, violations, reverted, passed: false };
+  }
+
+  if (violations.length > 0) {
+    const offending = new Set(violations.map((violation) => violation.file));
+    const paths = changes.files
+      .filter((change) => offending.has(change.file))
+      .flatMap((change) => [change.file, change.previousFile])
+      .filter(Boolean);
+
+    await restorePaths(repoPath, paths);
+    reverted.push(...offending);
+    changes = await getWorkingTreeChanges(repoPath);
+  }
+
+  const limits = sizeViolations(changes, policy);
+
+  return {
+    changes,
+    violations: [...violations, ...limits],
+    reverted,
+    passed: limits.length === 0,
+  };
+}
+
+// Runs the repo's tests and linters on the staged fix, unless the policy
+// turns verification off, then drops anything the steps left behind.
+// Step output is redacted of `secrets` before it is stored.
+async function verifyFix(
+  repoPath,
+  repoConfig,
+  policy,
+  { signal, onOutput, secrets = [] } = {}
+) {
+  let verification = {
+    status: "skipped",
+    reason: "disabled by fix policy",
+    steps: [],
+    durationMs: 0,
+  };
+
+  if (policy.verification !== "off") {
+    const steps = await detectVerificationSteps(
+      repoPath,
+      repoConfig.verify.commands
+    );
+    verification = await runVerification(repoPath, steps, {
+      signal,
+      onOutput,
+    });
+    signal?.throwIfAborted();
+
+    // Only the fix itself gets committed, not installs or build output
+    await resetToIndex(repoPath);
+  }
+
+  return {
+    ...verification,
+    policy: policy.verification,
+    steps: verification.steps.map((step) => ({
+      ...step,
+      output: agentLog.redactSecrets(step.output, secrets),
+    })),
+  };
+}
+
+// Per-file accounting stored on the job from getWorkingTreeChanges
+function describeChanges(changes) {
+  return {
+    filesModified: changes.files.map((change) => change.file),
+    changes: changes.files,
+    stats: {
+      files: changes.files.length,
+      additions: changes.additions,
+      deletions: changes.deletions,
+      binaryFiles: changes.binaryFiles,
+    },
+  };
+}
+
+const VERIFICATION_HEADLINES = {
+  passed: "✅ Tests and linters passed",
+  failed: "⚠️ **Verification failed** — review before merging",
+};
+const MAX_PR_OUTPUT_CHARS = 3000;
+
+// PR body section with each step and the tail of the failing step's output
+function formatVerification(verification) {
+  const headline =
+    verification.status === "skipped"
+      ? `⏭️ Skipped: ${verification.reason}`
+      : VERIFICATION_HEADLINES[verification.status];
+  const failed = verification.steps.find((step) => step.status === "failed");
+
+  return `### 🧪 Verification
+${headline}${verification.steps
+    .map((step) => `\n- ${describeStep(step)}`)
+    .join("")}${
+    failed
+      ? `\n\n<details><summary>Output of ${
+          failed.name
+        }</summary>\n\n\`\`\`\`text\n${failed.output.slice(
+          -MAX_PR_OUTPUT_CHARS
+        )}\n\`\`\`\`\n</details>`
+      : ""
+  }`;
+}
+
+function formatChange(change) {
+  const name =
+    change.status === "renamed" || change.status === "copied"
+      ? `\`${change.previousFile}\` → \`${change.file}\``
+      : `\`${change.file}\``;
+  const lines = change.binary
+    ? "binary"
+    : `+${change.additions} −${change.deletions}`;
+
+  return `- ${name} (${change.status}, ${lines})`;
+}
+
 function buildCommitMessage(issues, fixResult) {
   const securityFixes = issues.filter((i) => i.type === "SECURITY").length;
   const bugFixes = issues.filter((i) => i.type === "BUG").length;
@@ -871,9 +3760,17 @@ function buildCommitMessage(issues, fixResult) {
     title = `🐛 Fix: ${bugFixes} Critical Bug${bugFixes > 1 ? "s" : ""}`;
   }
 
+  const { stats } = fixResult;
+
   return `${title}\n\nFixed ${issues.length} high-impact issue${
     issues.length > 1 ? "s" : ""
-  } identified by DevPulse AI.\n\nGenerated by DevPulse AI`;
+  } identified by DevPulse AI.\n\n${stats.files} file${
+    stats.files > 1 ? "s" : ""
+  } changed, ${stats.additions} insertion${
+    stats.additions === 1 ? "" : "s"
+  }(+), ${stats.deletions} deletion${
+    stats.deletions === 1 ? "" : "s"
+  }(-)\n\nGenerated by DevPulse AI`;
 }
 
 async function createProductionReadyPR(
@@ -882,7 +3779,9 @@ async function createProductionReadyPR(
   branchName,
   issues,
   fixResult,
-  accessToken
+  accessToken,
+  baseBranch = "main",
+  verification = null
 ) {
   const securityFixes = issues.filter((i) => i.type === "SECURITY").length;
   const bugFixes = issues.filter((i) => i.type === "BUG").length;
@@ -928,16 +3827,24 @@ ${
 }
 
 ### 🔧 Changes
-**Files Modified:** ${fixResult.filesModified.length}
-${fixResult.filesModified.map((f) => `- \`${f}\``).join("\n")}
-
+**Files Changed:** ${fixResult.stats.files} (+${fixResult.stats.additions} −${
+    fixResult.stats.deletions
+  })
+${fixResult.changes.map(formatChange).join("\n")}
+${
+  fixResult.policyViolations?.length > 0
+    ? `\n### 🛡️ Reverted by fix policy\n${formatViolations(
+        fixResult.policyViolations
+      )}\n`
+    : ""
+}${verification ? `\n${formatVerification(verification)}\n` : ""}
 ---
 **🤖 Generated by DevPulse AI** | [Dashboard](https://devpulse.dev)`;
 
   try {
     const response = await axios.post(
       `https://api.github.com/repos/${owner}/${repo}/pulls`,
-      { title, body, head: branchName, base: "main" },
+      { title, body, head: branchName, base: baseBranch },
       {
         headers: {
           Authorization: `Bearer ${accessToken}`,
@@ -960,148 +3867,469 @@ async function pushToGitHub(repoPath, branchName, accessToken, repoUrl) {
 
   const owner = urlMatch[1];
   const repo = urlMatch[2];
-  const authenticatedUrl = `https://${accessToken}@github.com/${owner}/${repo}.git`;
-  const pushCommand = `cd "${repoPath}" && git push "${authenticatedUrl}" ${branchName}`;
 
   try {
-    await execPromise(pushCommand);
+    await pushBranch(
+      repoPath,
+      `https://github.com/${owner}/${repo}.git`,
+      branchName,
+      { token: accessToken }
+    );
   } catch (error) {
-    const stderr = error.stderr || "";
+    const stderr = error.message || "";
     if (stderr.includes("403")) {
       throw new Error("GitHub auth failed. Token may lack 'repo' permissions.");
     } else if (stderr.includes("404")) {
       throw new Error(`Repository ${owner}/${repo} not found.`);
     }
-    throw new Error(`Push failed: ${stderr || error.message}`);
+    throw new Error(`Push failed: ${stderr}`);
   }
 }
 
-async function updateFixJobProgress(jobId, status, progress, message) {
-  await supabase
-    .from("autonomous_fix_jobs")
-    .update({ status, progress, message, updated_at: new Date().toISOString() })
-    .eq("job_id", jobId);
+// Findings tracking is best effort: a failure must not fail the analysis.
+// Only full analyses update the lifecycle (see analysisProfiles.services).
+async function trackFindings(analysisId, params, aiAnalysis) {
+  if ((params.profile || DEFAULT_PROFILE) !== DEFAULT_PROFILE) return;
+
+  try {
+    const summary = await syncFindings({
+      analysis_id: analysisId,
+      user_id: params.userId,
+      repo_owner: params.owner,
+      repo_name: params.repoName,
+      ai_analysis: aiAnalysis,
+    });
+
+    console.log(
+      `🔎 Findings: ${summary.new} new, ${summary.fixed} fixed, ${summary.regressed} regressed, ${summary.suppressed} suppressed`
+    );
+  } catch (error) {
+    console.error(`⚠️ Findings sync failed: ${error.message}`);
+  }
 }
 
-async function cloneRepository(repoUrl, targetDir) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn("git", ["clone", "--depth", "1", repoUrl, targetDir]);
-    let stderr = "";
+const JOB_TABLES = {
+  analysis: { table: "analyses", idColumn: "analysis_id" },
+  ai_fix: { table: "analyses", idColumn: "analysis_id" },
+  autonomous_fix: { table: "autonomous_fix_jobs", idColumn: "job_id" },
+};
 
-    proc.stderr.on("data", (d) => (stderr += d.toString()));
+// Whether the job exists and belongs to `userId`. Jobs without an owner
+// belong to no one: their transcripts may hold anything the agent printed.
+async function ownsJob(kind, id, userId) {
+  const { table, idColumn } = JOB_TABLES[kind];
+  const { data, error } = await supabase
+    .from(table)
+    .select("user_id")
+    .eq(idColumn, id);
 
-    proc.on("close", (code) => {
-      if (code === 0) resolve();
-      else reject(new Error(`Git clone failed: ${stderr}`));
-    });
+  if (error) throw error;
 
-    proc.on("error", reject);
-  });
+  return Boolean(userId) && data[0]?.user_id === userId;
 }
 
-async function analyzeStructure(repoPath) {
-  const files = await getAllFiles(repoPath);
-  return { totalFiles: files.length };
-}
+// Live transcript while the job runs here, otherwise the persisted one
+async function sendTranscript(res, kind, id, userId) {
+  const { table, idColumn } = JOB_TABLES[kind];
 
-async function getAllFiles(dir) {
-  const files = [];
+  try {
+    const { data, error } = await supabase
+      .from(table)
+      .select("user_id, status, agent_transcript")
+      .eq(idColumn, id)
+      .single();
 
-  async function walk(currentPath) {
-    try {
-      const entries = await fs.readdir(currentPath, { withFileTypes: true });
+    if (error || !data || !userId || data.user_id !== userId) {
+      return res.status(404).json({ error: "Job not found" });
+    }
 
-      for (const entry of entries) {
-        const fullPath = path.join(currentPath, entry.name);
+    const transcript = agentLog.getLiveTranscript(kind, id) ||
+      data.agent_transcript || { lines: [], dropped: 0, total: 0 };
 
-        if (entry.isDirectory()) {
-          if (!["node_modules", ".git", "dist", "build"].includes(entry.name)) {
-            await walk(fullPath);
-          }
-        } else {
-          files.push(fullPath);
-        }
-      }
-    } catch (error) {}
+    res.json({ success: true, status: data.status, transcript });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to get transcript",
+      details: error.message,
+    });
+  }
+}
+
+// Returns an error message for invalid webhook fields, or null
+function validateWebhookInput({ url, events }, { partial = false } = {}) {
+  if (url !== undefined || !partial) {
+    const urlError =
+      typeof url === "string"
+        ? webhooks.validateWebhookUrl(url)
+        : "url is required";
+    if (urlError) return urlError;
   }
 
-  await walk(dir);
-  return files;
+  if (events !== undefined || !partial) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !webhooks.WEBHOOK_EVENTS.includes(event))
+    ) {
+      return `events must be a non-empty list of: ${webhooks.WEBHOOK_EVENTS.join(
+        ", "
+      )}`;
+    }
+  }
+
+  return null;
+}
+
+function toWebhookResponse(row) {
+  return {
+    webhookId: row.webhook_id,
+    url: row.url,
+    events: row.events,
+    description: row.description,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
 }
 
-async function runAIAnalysis(repoPath) {
-  const prompt = `Analyze this codebase and return JSON with:
-{
-  "architecture": {"pattern": "", "strengths": [], "weaknesses": []},
-  "codeQuality": {"score": 0-100, "issues": []},
-  "bugs": [{"severity": "", "description": "", "file": ""}],
-  "security": [{"type": "", "severity": "", "file": ""}],
-  "recommendations": [{"priority": "", "title": "", "description": ""}]
+function analysisWebhookData(analysisId, params) {
+  return {
+    analysisId,
+    repository: {
+      owner: params.owner,
+      name: params.repoName,
+      url: params.repoUrl,
+    },
+    ref: params.ref || null,
+    profile: params.profile || DEFAULT_PROFILE,
+  };
 }
 
-Return ONLY valid JSON.`;
+function fixWebhookData(fixJobId, analysis) {
+  return {
+    jobId: fixJobId,
+    analysisId: analysis.analysis_id,
+    repository: {
+      owner: analysis.repo_owner,
+      name: analysis.repo_name,
+      url: analysis.repo_url,
+    },
+  };
+}
 
-  try {
-    const output = await runClineTask(prompt, repoPath);
-    const jsonData = extractJSON(output);
+// Per-user events (job.created, job.deleted) for the user stream
+function publishUserEvent(userId, type, data) {
+  if (!userId) return;
+  progressBus.publish("user", String(userId), { type, ...data });
+}
 
+// The status part of a progress bus message, or null if it has none
+function toStatusUpdate(kind, id, payload) {
+  if (kind === "analysis" && payload.status) {
     return {
-      success: true,
-      architecture: jsonData.architecture || {
-        pattern: "Unknown",
-        strengths: [],
-        weaknesses: [],
-      },
-      codeQuality: jsonData.codeQuality || { score: 75, issues: [] },
-      bugs: jsonData.bugs || [],
-      security: jsonData.security || [],
-      recommendations: jsonData.recommendations || [],
+      kind,
+      id,
+      status: payload.status,
+      progress: payload.progress ?? null,
+      step: payload.step ?? null,
+      message: payload.message ?? null,
     };
-  } catch (error) {
+  }
+
+  if (kind === "autonomous_fix" && payload.type === "phase") {
     return {
-      success: false,
-      error: error.message,
-      architecture: { pattern: "Error", strengths: [], weaknesses: [] },
-      codeQuality: { score: 0, issues: [] },
-      bugs: [],
-      security: [],
-      recommendations: [],
+      kind,
+      id,
+      status: payload.phase,
+      progress: payload.progress ?? null,
+      message: payload.message ?? null,
     };
   }
+
+  if (
+    kind === "autonomous_fix" &&
+    FIX_JOB_TERMINAL_EVENTS.includes(payload.type)
+  ) {
+    return { kind, id, status: payload.type };
+  }
+
+  return null;
 }
 
-function runClineTask(prompt, repoPath) {
-  return new Promise((resolve, reject) => {
-    const wslPath = repoPath
-      .replace(/\\/g, "/")
-      .replace(/^([A-Z]):/, (match, drive) => `/mnt/${drive.toLowerCase()}`);
+// Points a dry run at a new apply job, only if its applied_job_id is still
+// `previousJobId` (the caller has checked that job may be replaced). The
+// conditional update makes the claim atomic; returns whether it succeeded.
+async function claimDryRun(dryRunId, previousJobId, newJobId) {
+  let query = supabase
+    .from("autonomous_fix_jobs")
+    .update({ applied_job_id: newJobId })
+    .eq("job_id", dryRunId);
+
+  query = previousJobId
+    ? query.eq("applied_job_id", previousJobId)
+    : query.is("applied_job_id", null);
+
+  const { data, error } = await query.select("job_id");
+  if (error) throw error;
 
-    const escapedPrompt = prompt
-      .replace(/\\/g, "\\\\")
-      .replace(/"/g, '\\"')
-      .replace(/\$/g, "\\$")
-      .replace(/`/g, "\\`");
+  return data.length > 0;
+}
 
-    const bashCommand = `cd "${wslPath}" && export GEMINI_API_KEY="${process.env.GEMINI_API_KEY}" && cline "${escapedPrompt}" --oneshot`;
+async function removeFixJob(jobId) {
+  await supabase.from("autonomous_fix_events").delete().eq("job_id", jobId);
 
-    const proc = spawn("wsl", ["bash", "-l", "-c", bashCommand]);
+  const { error } = await supabase
+    .from("autonomous_fix_jobs")
+    .delete()
+    .eq("job_id", jobId);
 
-    let output = "";
-    proc.stdout.on("data", (d) => (output += d.toString()));
+  if (error) throw error;
+}
 
-    proc.on("close", (code) => {
-      if (code === 0 || output.length > 100) resolve(output);
-      else reject(new Error("Cline execution failed"));
+// `phase` is where a fix job stopped, for its terminal "cancelled" event
+async function markCancelled(table, idColumn, id, phase = null) {
+  await supabase
+    .from(table)
+    .update({
+      status: "cancelled",
+      message: "Cancelled by user",
+      updated_at: new Date().toISOString(),
+    })
+    .eq(idColumn, id);
+
+  if (table === "analyses") {
+    progressBus.publish("analysis", id, {
+      status: "cancelled",
+      message: "Cancelled by user",
     });
+  } else {
+    await recordFixJobEvent(id, "cancelled", { phase });
+  }
+}
+
+async function updateFixJobProgress(jobId, status, progress, message) {
+  await supabase
+    .from("autonomous_fix_jobs")
+    .update({ status, progress, message, updated_at: new Date().toISOString() })
+    .eq("job_id", jobId);
+  await recordFixJobEvent(jobId, "phase", { phase: status, progress, message });
+}
+
+// Identifies everything besides the commit that shapes a result, so a
+// cached analysis is only reused when it would come out the same
+function getAnalysisConfigKey(profile) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        profile: profile.name,
+        profileVersion: profile.version,
+        prompt: profile.prompt,
+        schema: profile.schema,
+        scoringModel: SCORING_MODEL,
+        scoring: getScoringConfig(),
+      })
+    )
+    .digest("hex")
+    .substring(0, 16);
+}
+
+async function findCachedAnalysis(
+  userId,
+  owner,
+  repoName,
+  commitSha,
+  configKey
+) {
+  let query = supabase
+    .from("analyses")
+    .select("analysis_id, structure, code_quality, ai_analysis, repo_config")
+    .eq("repo_owner", owner)
+    .eq("repo_name", repoName)
+    .eq("commit_sha", commitSha)
+    .eq("config_key", configKey)
+    .eq("status", "completed")
+    .order("completed_at", { ascending: false })
+    .limit(1);
+
+  // Never share results across users: the repo may be private
+  query = userId ? query.eq("user_id", userId) : query.is("user_id", null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+async function reuseCachedAnalysis(analysisId, params, commitSha, configKey) {
+  const cached = await findCachedAnalysis(
+    params.userId,
+    params.owner,
+    params.repoName,
+    commitSha,
+    configKey
+  );
+  if (!cached) return false;
+
+  // Suppressions may have changed since the cached run
+  const aiAnalysis = applySuppressions(
+    cached.ai_analysis,
+    await getActiveSuppressions(params.userId, params.owner, params.repoName)
+  );
+  const codeQuality = scoreAnalysis(aiAnalysis, cached.structure);
 
-    proc.on("error", reject);
+  await supabase
+    .from("analyses")
+    .update({
+      status: "completed",
+      progress: 100,
+      current_step: 6,
+      message: `Reused analysis of commit ${commitSha.substring(0, 7)}`,
+      commit_sha: commitSha,
+      config_key: configKey,
+      cached_from: cached.analysis_id,
+      repo_config: cached.repo_config,
+      structure: cached.structure,
+      code_quality: codeQuality,
+      ai_analysis: aiAnalysis,
+      suppressed_count: aiAnalysis.suppressed?.length || 0,
+      completed_at: new Date().toISOString(),
+    })
+    .eq("analysis_id", analysisId);
 
-    setTimeout(() => {
-      proc.kill();
-      if (output.length > 0) resolve(output);
-      else reject(new Error("Cline timeout"));
-    }, 600000);
+  progressBus.publish("analysis", analysisId, {
+    status: "completed",
+    progress: 100,
+    step: 6,
+    message: `Reused analysis of commit ${commitSha.substring(0, 7)}`,
+  });
+  console.log(`♻️ Analysis ${analysisId} reused ${cached.analysis_id}`);
+
+  await trackFindings(analysisId, params, aiAnalysis);
+
+  await webhooks.dispatchEvent(params.userId, "analysis.completed", {
+    ...analysisWebhookData(analysisId, params),
+    status: "completed",
+    commitSha,
+    cachedFrom: cached.analysis_id,
+    score: codeQuality.score,
+    grade: codeQuality.grade,
+    bugs: aiAnalysis.bugs?.length || 0,
+    security: aiAnalysis.security?.length || 0,
+    suppressed: aiAnalysis.suppressed?.length || 0,
   });
+
+  if (params.enableAIFix && params.accessToken) {
+    await runAIFixWorkflow(
+      {
+        analysisId,
+        userId: params.userId,
+        repoName: params.repoName,
+        owner: params.owner,
+        repoUrl: params.repoUrl,
+      },
+      params.accessToken
+    );
+  }
+
+  return true;
+}
+
+function isValidRef(ref) {
+  return (
+    typeof ref === "string" &&
+    ref.length > 0 &&
+    ref.length <= 255 &&
+    !ref.startsWith("-") &&
+    /^[\w./-]+$/.test(ref) &&
+    !ref.includes("..")
+  );
+}
+
+function getRepairAttempts() {
+  const attempts = parseInt(process.env.ANALYSIS_REPAIR_ATTEMPTS, 10);
+  return Number.isFinite(attempts) && attempts >= 0 ? attempts : 2;
+}
+
+function buildRepairPrompt(basePrompt, previousOutput, errors) {
+  return `${basePrompt}
+
+Your previous response was rejected because it failed validation:
+${errors
+  .slice(0, 30)
+  .map((e) => `- ${e}`)
+  .join("\n")}
+
+Previous response:
+${previousOutput.slice(-20000)}
+
+Fix every listed problem and return the complete corrected JSON only.`;
+}
+
+// Runs the agent, re-prompting with the validation errors until the output
+// matches the schema. Never fills in defaults: output that still fails is
+// returned as `partial` with only the sections that validated on their own.
+async function runAIAnalysis(
+  repoPath,
+  signal,
+  repoConfig = DEFAULT_REPO_CONFIG,
+  profile = getProfile(DEFAULT_PROFILE),
+  onOutput
+) {
+  const basePrompt = profile.prompt + promptSection(repoConfig);
+  let output = "";
+  let payload = null;
+  let errors = [];
+  let attempts = 0;
+
+  try {
+    while (attempts <= getRepairAttempts()) {
+      const prompt =
+        attempts === 0
+          ? basePrompt
+          : buildRepairPrompt(basePrompt, output, errors);
+      attempts++;
+
+      output = await runClineTask(prompt, repoPath, signal, onOutput);
+
+      try {
+        payload = extractJSON(output);
+      } catch (error) {
+        errors = ["$: no JSON object found in the response"];
+        continue;
+      }
+
+      const result = validateAnalysis(payload, profile.schema);
+      if (result.valid) {
+        return {
+          success: true,
+          ...result.value,
+          validation: { attempts, errors: [] },
+        };
+      }
+
+      errors = result.errors;
+      console.log(
+        `⚠️ AI output failed validation (attempt ${attempts}): ${errors.length} error(s)`
+      );
+    }
+  } catch (error) {
+    // Only output that came back and failed validation makes a partial
+    // result: an agent that crashed before returning any fails the analysis
+    if (signal?.aborted || attempts === 1) throw error;
+    errors = [...errors, `agent: ${error.message}`];
+  }
+
+  return {
+    success: false,
+    partial: true,
+    error: "AI output failed schema validation",
+    ...(payload ? salvageAnalysis(payload, profile.schema) : {}),
+    validation: { attempts, errors: errors.slice(0, 50) },
+  };
+}
+
+function runClineTask(prompt, repoPath, signal, onOutput) {
+  return agentRunner.runAgent(prompt, repoPath, { signal, onOutput });
 }
 
 async function cleanupTempDir(dir) {
@@ -1115,17 +4343,11 @@ async function updateProgress(analysisId, status, progress, step, message) {
     .from("analyses")
     .update({ status, progress, current_step: step, message })
     .eq("analysis_id", analysisId);
-}
-
-async function runCommand(cmd, args, cwd) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn(cmd, args, { cwd });
-    let stderr = "";
-    proc.stderr.on("data", (d) => (stderr += d.toString()));
-    proc.on("close", (code) => {
-      if (code === 0) resolve();
-      else reject(new Error(stderr));
-    });
+  progressBus.publish("analysis", analysisId, {
+    status,
+    progress,
+    step,
+    message,
   });
 }
 
@@ -1145,7 +4367,7 @@ async function runAIFixWorkflow(analysis, accessToken, existingTempDir = null) {
     if (!tempDir) {
       tempDir = path.join(__dirname, "../temp", `${analysis.analysisId}-fix`);
       await fs.mkdir(tempDir, { recursive: true });
-      await cloneRepository(analysis.repoUrl, tempDir);
+      await cloneRepository(analysis.repoUrl, tempDir, { token: accessToken });
     }
 
     await runCommand("git", ["config", "user.name", "DevPulse AI"], tempDir);
@@ -1158,13 +4380,56 @@ async function runAIFixWorkflow(analysis, accessToken, existingTempDir = null) {
     const branchName = `devpulse-fix-${Date.now()}`;
     await runCommand("git", ["checkout", "-b", branchName], tempDir);
 
+    // Read before the agent runs, so it cannot rewrite its own guardrails
+    const { config: repoConfig } = await loadRepoConfig(tempDir);
+
     const fixResult = await runAIFix(tempDir);
     if (!fixResult) {
       await cleanupTempDir(tempDir);
       return;
     }
 
-    await runCommand("git", ["add", "."], tempDir);
+    const policy = resolveFixPolicy(
+      await getUserFixPolicy(analysis.userId),
+      repoConfig.fix.policy
+    );
+    const policyCheck = await enforceFixPolicy(
+      tempDir,
+      await getWorkingTreeChanges(tempDir),
+      policy,
+      { revert: true }
+    );
+
+    if (!policyCheck.passed) {
+      throw new Error(
+        `Fix policy violated:\n${formatViolations(policyCheck.violations)}`
+      );
+    }
+
+    const { changes } = policyCheck;
+    if (changes.files.length === 0) {
+      throw new Error(
+        policyCheck.reverted.length > 0
+          ? `The agent only changed protected files, which were reverted: ${policyCheck.reverted.join(
+              ", "
+            )}`
+          : "The agent did not change any files"
+      );
+    }
+
+    const verification = await verifyFix(tempDir, repoConfig, policy, {
+      secrets: [accessToken],
+    });
+
+    if (verification.status === "failed" && policy.verification === "block") {
+      throw new Error(
+        `Verification failed, PR blocked by fix policy:\n${verification.steps
+          .filter((step) => step.status === "failed")
+          .map(describeStep)
+          .join("\n")}`
+      );
+    }
+
     await runCommand(
       "git",
       ["commit", "-m", "🤖 AI improvements by DevPulse"],
@@ -1178,8 +4443,14 @@ async function runAIFixWorkflow(analysis, accessToken, existingTempDir = null) {
       analysis.repoName,
       branchName,
       [],
-      { filesModified: [] },
-      accessToken
+      {
+        ...describeChanges(changes),
+        revertedFiles: policyCheck.reverted,
+        policyViolations: policyCheck.violations,
+      },
+      accessToken,
+      repoConfig.fix.baseBranch || "main",
+      verification
     );
 
     await supabase
@@ -1198,12 +4469,6 @@ async function runAIFixWorkflow(analysis, accessToken, existingTempDir = null) {
   }
 }
 
-function calculateScore(aiAnalysis) {
-  const score = aiAnalysis?.codeQuality?.score || 75;
-  const grade = score >= 90 ? "A" : score >= 80 ? "B" : score >= 70 ? "C" : "D";
-  return { score, grade };
-}
-
 function extractJSON(output) {
   const allJsonMatches = [];
   let searchStart = 0;
@@ -8,6 +8,9 @@ dotenv.config();
 const authRoutes = require("./routes/auth.routes");
 const githubRoutes = require("./routes/github.routes");
 const clineRoutes = require("./routes/cline.routes");
+const jobQueue = require("./services/jobQueue.services");
+const progressBus = require("./services/progressBus.services");
+const webhooks = require("./services/webhooks.services");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -30,6 +33,21 @@ app.use("/api/v1/cline", clineRoutes);
 // Start server
 app.listen(PORT, () => {
   console.log(`DevPilot HQ server running on port ${PORT}`);
+
+  // Streams still work locally if the cross-instance relay is unavailable
+  progressBus
+    .startProgressBus()
+    .catch((error) =>
+      console.error(`❌ Progress bus relay not started: ${error.message}`)
+    );
+
+  // Pick up jobs left behind by the previous process
+  jobQueue.recoverJobs();
+  webhooks
+    .resumeDeliveries()
+    .catch((error) =>
+      console.error(`❌ Failed to resume webhook deliveries: ${error.message}`)
+    );
 });
 
 module.exports = app;
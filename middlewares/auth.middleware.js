@@ -1,5 +1,7 @@
 const jwt = require("jsonwebtoken");
 const JWT_SECRET = process.env.JWT_SECRET;
+const STREAM_TICKET_AUDIENCE = "devpulse:events";
+const STREAM_TICKET_TTL_SECONDS = 60;
 
 //Middlewares to verify JWT token
 exports.verifyToken = async (req, res, next) => {
@@ -16,6 +18,14 @@ exports.verifyToken = async (req, res, next) => {
     // Verify JWT
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // Stream tickets only open the event stream
+    if (decoded.aud === STREAM_TICKET_AUDIENCE) {
+      return res.status(401).json({
+        error: "Invalid token",
+        code: "INVALID_TOKEN",
+      });
+    }
+
     // Check if access token is expired
     const isAccessTokenExpired = Date.now() > decoded.accessTokenExpiresAt;
 
@@ -100,3 +110,35 @@ exports.verifyToken = async (req, res, next) => {
     });
   }
 };
+
+// EventSource cannot send headers, so the user stream takes a ticket as
+// ?ticket= instead: a JWT for one purpose that expires within a minute and
+// carries only the user's id, never the GitHub tokens in the session JWT.
+exports.STREAM_TICKET_TTL_SECONDS = STREAM_TICKET_TTL_SECONDS;
+
+exports.issueStreamTicket = (user) =>
+  jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, {
+    audience: STREAM_TICKET_AUDIENCE,
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+  });
+
+// Accepts a stream ticket, or falls back to verifyToken without one
+exports.verifyStreamTicket = (req, res, next) => {
+  if (typeof req.query.ticket !== "string") {
+    return exports.verifyToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.ticket, JWT_SECRET, {
+      audience: STREAM_TICKET_AUDIENCE,
+    });
+
+    req.user = { id: decoded.id, username: decoded.username };
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: "Invalid or expired stream ticket",
+      code: "INVALID_TICKET",
+    });
+  }
+};
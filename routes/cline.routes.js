@@ -1,14 +1,24 @@
 const express = require("express");
 const router = express.Router();
 const clineController = require("../controllers/cline.controllers");
-const { verifyToken } = require("../middlewares/auth.middleware");
+const {
+  verifyToken,
+  verifyStreamTicket,
+} = require("../middlewares/auth.middleware");
+
+// EventSource cannot send headers, so this stream also takes ?ticket=
+router.get("/events", verifyStreamTicket, clineController.streamUserEvents);
 
 router.use(verifyToken);
 
+router.post("/events/ticket", clineController.createStreamTicket);
+
 // Analysis endpoints
 router.get("/all-analysis", clineController.getAllAnalyses);
 router.post("/analyze", clineController.analyzeRepository);
+router.get("/profiles", clineController.getAnalysisProfiles);
 router.get("/analysis/:analysisId", clineController.getAnalysis);
+router.delete("/analysis/:analysisId", clineController.deleteAnalysis);
 router.get(
   "/analysis/:analysisId/progress",
   clineController.getAnalysisProgress
@@ -17,11 +27,74 @@ router.get(
   "/analysis/:analysisId/stream",
   clineController.streamAnalysisProgress
 );
+router.get(
+  "/analysis/:analysisId/transcript",
+  clineController.getAnalysisTranscript
+);
+router.get(
+  "/analysis/:analysisId/compare/:otherId",
+  clineController.compareAnalyses
+);
+router.get("/analysis/:analysisId/export", clineController.exportAnalysis);
+router.post("/analysis/:analysisId/cancel", clineController.cancelAnalysis);
+router.post("/analysis/:analysisId/retry", clineController.retryAnalysis);
 router.get("/history", clineController.getAnalysisHistory);
+router.get("/repos/:owner/:repo/trend", clineController.getRepositoryTrend);
+
+// Finding endpoints
+router.get("/findings", clineController.listFindings);
+router.get("/findings/:findingId", clineController.getFinding);
+router.patch("/findings/:findingId", clineController.updateFindingStatus);
+
+// Suppression endpoints
+router.get("/suppressions", clineController.listSuppressions);
+router.post("/suppressions", clineController.createSuppression);
+router.delete(
+  "/suppressions/:suppressionId",
+  clineController.deleteSuppression
+);
+
+// Webhook endpoints
+router.get("/webhooks", clineController.listWebhooks);
+router.post("/webhooks", clineController.createWebhook);
+router.patch("/webhooks/:webhookId", clineController.updateWebhook);
+router.delete("/webhooks/:webhookId", clineController.deleteWebhook);
+router.get(
+  "/webhooks/:webhookId/deliveries",
+  clineController.listWebhookDeliveries
+);
+router.post(
+  "/webhooks/:webhookId/deliveries/:deliveryId/redeliver",
+  clineController.redeliverWebhook
+);
+
+// Fix policy endpoints
+router.get("/fix-policy", clineController.getFixPolicy);
+router.put("/fix-policy", clineController.updateFixPolicy);
+router.delete("/fix-policy", clineController.deleteFixPolicy);
 
 // AI fix endpoints
 router.post("/ai-fix", clineController.triggerAIFix);
 router.post("/autonomous-fix", clineController.autonomousHighImpactFix);
 router.get("/autonomous-fix/:jobId", clineController.getAutonomousFixStatus);
+router.delete("/autonomous-fix/:jobId", clineController.deleteAutonomousFix);
+router.get(
+  "/autonomous-fix/:jobId/stream",
+  clineController.streamAutonomousFix
+);
+router.get(
+  "/autonomous-fix/:jobId/transcript",
+  clineController.getAutonomousFixTranscript
+);
+router.post(
+  "/autonomous-fix/:jobId/cancel",
+  clineController.cancelAutonomousFix
+);
+router.post("/autonomous-fix/:jobId/retry", clineController.retryAutonomousFix);
+router.get(
+  "/autonomous-fix/:jobId/patch",
+  clineController.getAutonomousFixPatch
+);
+router.post("/autonomous-fix/:jobId/apply", clineController.applyAutonomousFix);
 
 module.exports = router;
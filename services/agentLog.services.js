@@ -0,0 +1,187 @@
+const supabase = require("./supabase.services");
+const progressBus = require("./progressBus.services");
+
+// Live agent output. Each running job gets a transcript: stdout/stderr lines
+// are redacted, kept in a bounded in-memory buffer, published to stream
+// subscribers and periodically persisted on the job row, so finished jobs
+// can still be inspected.
+
+const DEFAULT_MAX_LINES = 500;
+const MAX_LINE_LENGTH = 2000;
+const FLUSH_INTERVAL_MS = 2000;
+
+const JOB_TABLES = {
+  analysis: { table: "analyses", idColumn: "analysis_id" },
+  autonomous_fix: { table: "autonomous_fix_jobs", idColumn: "job_id" },
+};
+
+const SECRET_PATTERNS = [
+  /\bgh[pousr]_[A-Za-z0-9]{20,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\bsk-[A-Za-z0-9_-]{16,}\b/g,
+  /\bAIza[0-9A-Za-z_-]{30,}\b/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g,
+];
+
+// Header values and URL credentials keep their prefix
+const SECRET_PREFIX_PATTERNS = [
+  /(authorization:\s*(?:bearer|basic|token)\s+)[^\s"']+/gi,
+  /(\/\/[^/\s:@]+:)[^@\s/]+(?=@)/g,
+];
+
+const ANSI_ESCAPES = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const transcripts = new Map();
+
+function getMaxLines() {
+  const max = parseInt(process.env.AGENT_TRANSCRIPT_MAX_LINES, 10);
+  return Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_LINES;
+}
+
+// =============================
+// REDACTION
+// =============================
+
+// Values of secret-looking env vars, e.g. the LLM keys handed to the agent
+function envSecrets() {
+  return Object.entries(process.env)
+    .filter(
+      ([name, value]) =>
+        /KEY|TOKEN|SECRET|PASSWORD/i.test(name) && value && value.length >= 8
+    )
+    .map(([, value]) => value);
+}
+
+function redactSecrets(text, secrets = []) {
+  let result = String(text);
+
+  secrets
+    .filter((secret) => secret && secret.length >= 8)
+    .forEach((secret) => {
+      result = result.split(secret).join("***");
+    });
+
+  SECRET_PATTERNS.forEach((pattern) => {
+    result = result.replace(pattern, "***");
+  });
+  SECRET_PREFIX_PATTERNS.forEach((pattern) => {
+    result = result.replace(pattern, "$1***");
+  });
+
+  return result;
+}
+
+// =============================
+// TRANSCRIPTS
+// =============================
+
+function keyFor(kind, id) {
+  return `${kind}:${id}`;
+}
+
+// Lines travel on the progress bus, so streams on other instances get them
+function logKind(kind) {
+  return `${kind}_log`;
+}
+
+// Starts the transcript of a job run. `secrets` are redacted on top of the
+// built-in patterns (e.g. the job's GitHub token).
+function openTranscript(kind, id, { secrets = [] } = {}) {
+  const transcript = {
+    kind,
+    id,
+    lines: [],
+    seq: 0,
+    dropped: 0,
+    secrets: [...secrets, ...envSecrets()],
+    flushTimer: null,
+  };
+  transcripts.set(keyFor(kind, id), transcript);
+
+  return {
+    onOutput: (stream, line) => appendLine(transcript, stream, line),
+    close: () => closeTranscript(transcript),
+  };
+}
+
+function appendLine(transcript, stream, rawLine) {
+  const line = redactSecrets(
+    String(rawLine).replace(ANSI_ESCAPES, ""),
+    transcript.secrets
+  ).substring(0, MAX_LINE_LENGTH);
+
+  const entry = {
+    seq: ++transcript.seq,
+    stream,
+    line,
+    at: new Date().toISOString(),
+  };
+
+  transcript.lines.push(entry);
+  if (transcript.lines.length > getMaxLines()) {
+    transcript.lines.shift();
+    transcript.dropped++;
+  }
+
+  progressBus.publish(logKind(transcript.kind), transcript.id, entry);
+
+  if (!transcript.flushTimer) {
+    transcript.flushTimer = setTimeout(() => {
+      transcript.flushTimer = null;
+      flushTranscript(transcript);
+    }, FLUSH_INTERVAL_MS);
+  }
+}
+
+function toStored(transcript) {
+  return {
+    lines: transcript.lines,
+    dropped: transcript.dropped,
+    total: transcript.seq,
+  };
+}
+
+async function flushTranscript(transcript) {
+  const { table, idColumn } = JOB_TABLES[transcript.kind];
+
+  try {
+    const { error } = await supabase
+      .from(table)
+      .update({ agent_transcript: toStored(transcript) })
+      .eq(idColumn, transcript.id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`⚠️ Transcript flush failed: ${error.message}`);
+  }
+}
+
+async function closeTranscript(transcript) {
+  clearTimeout(transcript.flushTimer);
+  transcript.flushTimer = null;
+  await flushTranscript(transcript);
+  transcripts.delete(keyFor(transcript.kind, transcript.id));
+}
+
+// =============================
+// READERS
+// =============================
+
+// Transcript of a job that is running in this process, or null
+function getLiveTranscript(kind, id) {
+  const transcript = transcripts.get(keyFor(kind, id));
+  return transcript ? toStored(transcript) : null;
+}
+
+// Calls `listener(entry)` for every new line; returns an unsubscribe function
+function subscribe(kind, id, listener) {
+  return progressBus.subscribe(logKind(kind), id, listener);
+}
+
+module.exports = {
+  redactSecrets,
+  openTranscript,
+  getLiveTranscript,
+  subscribe,
+};
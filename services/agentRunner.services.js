@@ -0,0 +1,355 @@
+const { spawn } = require("child_process");
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_TIMEOUT_MS = 600000;
+const DEFAULT_FAKE_SCRIPT = path.join(
+  __dirname,
+  "../test/fixtures/fake-agent.json"
+);
+
+// =============================
+// CONFIG
+// =============================
+
+// AGENT_RUNNER picks the back end: wsl | native | container | fake
+function getRunnerName() {
+  const configured = (process.env.AGENT_RUNNER || "").trim().toLowerCase();
+  if (configured) return configured;
+  return process.platform === "win32" ? "wsl" : "native";
+}
+
+function getAgentCommand() {
+  return process.env.AGENT_COMMAND || "cline";
+}
+
+function getTimeoutMs() {
+  const timeout = parseInt(process.env.AGENT_TIMEOUT_MS, 10);
+  return Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS;
+}
+
+// Env vars forwarded to the agent, whichever runner starts it
+function getPassthroughEnv() {
+  return (
+    process.env.AGENT_ENV_PASSTHROUGH || "GEMINI_API_KEY,OPENROUTER_API_KEY"
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name && process.env[name] !== undefined);
+}
+
+// The native runner's whole env: what the CLI needs to start, plus the
+// passthrough names. Never the server's own secrets (Supabase key, tokens).
+function nativeEnv() {
+  const names = ["PATH", "HOME", "LANG", ...getPassthroughEnv()].filter(
+    (name) => process.env[name] !== undefined
+  );
+
+  return Object.fromEntries(names.map((name) => [name, process.env[name]]));
+}
+
+// =============================
+// BACK ENDS
+// =============================
+
+const runners = {
+  // Legacy Windows host: shell the prompt into cline inside WSL
+  wsl: {
+    command(prompt, repoPath) {
+      const wslPath = repoPath
+        .replace(/\\/g, "/")
+        .replace(/^([A-Z]):/, (match, drive) => `/mnt/${drive.toLowerCase()}`);
+
+      const escape = (value) =>
+        value
+          .replace(/\\/g, "\\\\")
+          .replace(/"/g, '\\"')
+          .replace(/\$/g, "\\$")
+          .replace(/`/g, "\\`");
+
+      const envExports = getPassthroughEnv()
+        .map((name) => `export ${name}="${escape(process.env[name])}" && `)
+        .join("");
+
+      const bashCommand = `cd "${wslPath}" && ${envExports}${getAgentCommand()} "${escape(
+        prompt
+      )}" --oneshot`;
+
+      return { cmd: "wsl", args: ["bash", "-l", "-c", bashCommand] };
+    },
+  },
+
+  // Linux / macOS host with cline on the PATH, no shell involved
+  native: {
+    command(prompt, repoPath) {
+      return {
+        cmd: getAgentCommand(),
+        args: [prompt, "--oneshot"],
+        options: { cwd: repoPath, env: nativeEnv() },
+      };
+    },
+  },
+
+  // Run cline inside a throwaway container with the repo mounted
+  container: {
+    command(prompt, repoPath) {
+      const image = process.env.AGENT_CONTAINER_IMAGE;
+      if (!image) {
+        throw new Error(
+          "AGENT_CONTAINER_IMAGE is required for container runner"
+        );
+      }
+
+      const runtime = process.env.AGENT_CONTAINER_RUNTIME || "docker";
+      const containerName = `devpulse-agent-${Date.now()}-${Math.random()
+        .toString(36)
+        .substring(2, 9)}`;
+
+      const envArgs = getPassthroughEnv().flatMap((name) => ["-e", name]);
+
+      return {
+        cmd: runtime,
+        args: [
+          "run",
+          "--rm",
+          "--name",
+          containerName,
+          "-v",
+          `${path.resolve(repoPath)}:/workspace`,
+          "-w",
+          "/workspace",
+          ...envArgs,
+          image,
+          getAgentCommand(),
+          prompt,
+          "--oneshot",
+        ],
+        options: { env: process.env },
+        // Killing the CLI client does not stop the container itself
+        onKill: () => {
+          spawn(runtime, ["kill", containerName]).on("error", () => {});
+        },
+      };
+    },
+  },
+
+  // Replays canned output from a JSON script, no LLM needed
+  fake: {
+    run: runFakeAgent,
+  },
+};
+
+function getAgentRunner() {
+  const name = getRunnerName();
+  const runner = runners[name];
+
+  if (!runner) {
+    throw new Error(
+      `Unknown AGENT_RUNNER "${name}". Expected one of: ${Object.keys(
+        runners
+      ).join(", ")}`
+    );
+  }
+
+  return { name, ...runner };
+}
+
+// =============================
+// EXECUTION
+// =============================
+
+// options.signal (AbortSignal) kills the agent and rejects with its reason.
+// options.onOutput(stream, line) receives stdout/stderr lines as they arrive.
+async function runAgent(prompt, repoPath, options = {}) {
+  const runner = getAgentRunner();
+  options.signal?.throwIfAborted();
+
+  if (runner.run) {
+    return runner.run(prompt, repoPath, options);
+  }
+
+  return spawnAgent(runner.command(prompt, repoPath), options);
+}
+
+function spawnAgent(
+  { cmd, args, options = {}, onKill },
+  { signal, onOutput } = {}
+) {
+  return new Promise((resolve, reject) => {
+    // Own process group so the whole tree can be killed on cancel / timeout
+    const proc = spawn(cmd, args, {
+      ...options,
+      detached: process.platform !== "win32",
+    });
+    let settled = false;
+
+    const stop = () => {
+      killProcessTree(proc);
+      if (onKill) onKill();
+    };
+
+    const onAbort = () => {
+      stop();
+      finish(reject, signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+
+    let output = "";
+    const stdoutLines = lineSplitter("stdout", onOutput);
+    const stderrLines = lineSplitter("stderr", onOutput);
+
+    proc.stdout.on("data", (d) => {
+      output += d.toString();
+      stdoutLines.push(d);
+    });
+    proc.stderr.on("data", (d) => stderrLines.push(d));
+
+    proc.on("close", (code) => {
+      stdoutLines.end();
+      stderrLines.end();
+      if (code === 0 || output.length > 100) finish(resolve, output);
+      else finish(reject, new Error("Cline execution failed"));
+    });
+
+    proc.on("error", (error) => finish(reject, error));
+
+    const timer = setTimeout(() => {
+      stop();
+      if (output.length > 0) finish(resolve, output);
+      else finish(reject, new Error("Cline timeout"));
+    }, getTimeoutMs());
+  });
+}
+
+// Buffers partial chunks and calls onOutput(stream, line) per full line
+function lineSplitter(stream, onOutput) {
+  let partial = "";
+
+  return {
+    push(chunk) {
+      if (!onOutput) return;
+      const lines = (partial + chunk.toString()).split(/\r\n|\n|\r/);
+      partial = lines.pop();
+      lines.forEach((line) => onOutput(stream, line));
+    },
+    end() {
+      if (onOutput && partial) onOutput(stream, partial);
+      partial = "";
+    },
+  };
+}
+
+function killProcessTree(proc) {
+  if (!proc.pid || proc.exitCode !== null) return;
+
+  if (process.platform === "win32") {
+    spawn("taskkill", ["/pid", String(proc.pid), "/T", "/F"]).on(
+      "error",
+      () => {}
+    );
+    return;
+  }
+
+  try {
+    process.kill(-proc.pid, "SIGTERM");
+  } catch (error) {
+    proc.kill("SIGTERM");
+  }
+
+  // Escalate if the agent ignores SIGTERM
+  setTimeout(() => {
+    try {
+      process.kill(-proc.pid, "SIGKILL");
+    } catch (error) {}
+  }, 5000).unref();
+}
+
+// =============================
+// FAKE AGENT
+// =============================
+
+// Script format:
+// { "responses": [{ "match": "regex", "output": "...", "outputFile": "...",
+//   "files": { "relative/path": "content" }, "exitCode": 0, "delayMs": 0 }] }
+async function loadFakeScript() {
+  const scriptPath = process.env.AGENT_FAKE_SCRIPT || DEFAULT_FAKE_SCRIPT;
+  const raw = await fs.readFile(scriptPath, "utf8");
+  const script = JSON.parse(raw);
+
+  if (!Array.isArray(script.responses)) {
+    throw new Error(`Fake agent script ${scriptPath} has no "responses" array`);
+  }
+
+  return { script, scriptDir: path.dirname(scriptPath) };
+}
+
+async function runFakeAgent(prompt, repoPath, { signal, onOutput } = {}) {
+  const { script, scriptDir } = await loadFakeScript();
+
+  const response = script.responses.find(
+    (r) => !r.match || new RegExp(r.match, "i").test(prompt)
+  );
+
+  if (!response) {
+    throw new Error("Fake agent has no response matching this prompt");
+  }
+
+  if (response.delayMs) {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, response.delayMs);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        },
+        { once: true }
+      );
+    });
+  }
+
+  signal?.throwIfAborted();
+
+  const root = path.resolve(repoPath);
+
+  for (const [file, content] of Object.entries(response.files || {})) {
+    const target = path.resolve(root, file);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Fake agent refused to write outside repo: ${file}`);
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+
+  const output = response.outputFile
+    ? await fs.readFile(path.resolve(scriptDir, response.outputFile), "utf8")
+    : response.output || "";
+
+  if (onOutput) {
+    output
+      .split(/\r\n|\n|\r/)
+      .filter(Boolean)
+      .forEach((line) => onOutput("stdout", line));
+  }
+
+  if (response.exitCode && output.length <= 100) {
+    throw new Error("Cline execution failed");
+  }
+
+  return output;
+}
+
+module.exports = {
+  runAgent,
+  getAgentRunner,
+  killProcessTree,
+  lineSplitter,
+};
@@ -0,0 +1,246 @@
+const { ANALYSIS_SCHEMA } = require("./analysisSchema.services");
+
+// Named analysis profiles. Each has a prompt template and the schema its
+// output is validated against. Bump `version` whenever either changes: the
+// name and version are stored on every analysis, so older results can be
+// read against the template that produced them.
+//
+// Every profile returns bugs, security and recommendations arrays so
+// scoring and exports work the same for all of them. Only the default
+// profile covers everything, so only its results feed findings tracking and
+// the autonomous fixer, and trends and comparisons stay within one profile:
+// the others report a subset, and their silence about a finding does not
+// mean it was fixed.
+
+const DEFAULT_PROFILE = "standard";
+
+const RULES = `Rules:
+- "severity" must be one of: critical, high, medium, low, info
+- "priority" must be one of: critical, high, medium, low
+- every bug and security finding must have "file": a path relative to the repo root
+- "line" is optional`;
+
+const nonEmptyString = { type: "string", minLength: 1 };
+const base = ANALYSIS_SCHEMA.properties;
+
+function template(intro, shape, extraRules = []) {
+  return `${intro}
+${shape}
+
+${[RULES, ...extraRules.map((rule) => `- ${rule}`)].join("\n")}
+
+Return ONLY valid JSON.`;
+}
+
+// Copy of a findings array schema with extra item properties
+function withItemProperties(arraySchema, properties, overrides = {}) {
+  return {
+    ...arraySchema,
+    items: {
+      ...arraySchema.items,
+      ...overrides,
+      properties: { ...arraySchema.items.properties, ...properties },
+    },
+  };
+}
+
+function findingsSchema(properties, required = []) {
+  return {
+    type: "object",
+    required: ["bugs", "security", "recommendations", ...required],
+    properties: { ...base, ...properties },
+  };
+}
+
+const PROFILES = {
+  standard: {
+    label: "Full analysis",
+    description:
+      "Architecture, code quality, bugs, security and recommendations",
+    version: 1,
+    prompt: template(
+      "Analyze this codebase and return JSON with:",
+      `{
+  "architecture": {"pattern": "", "strengths": [], "weaknesses": []},
+  "codeQuality": {"score": 0-100, "issues": []},
+  "bugs": [{"severity": "", "description": "", "file": "", "line": 1}],
+  "security": [{"type": "", "severity": "", "description": "", "file": "", "line": 1}],
+  "recommendations": [{"priority": "", "title": "", "description": ""}]
+}`
+    ),
+    schema: ANALYSIS_SCHEMA,
+  },
+
+  security_audit: {
+    label: "Security audit",
+    description:
+      "Vulnerabilities such as injection, auth flaws, leaked secrets and unsafe input handling",
+    version: 1,
+    prompt: template(
+      "Analyze this codebase as a security audit. Look for injection, broken authentication or authorization, hardcoded secrets, unsafe deserialization, path traversal, SSRF and missing input validation. Return JSON with:",
+      `{
+  "security": [{"type": "", "severity": "", "description": "", "file": "", "line": 1, "cwe": "CWE-89", "remediation": ""}],
+  "bugs": [{"severity": "", "description": "", "file": "", "line": 1}],
+  "recommendations": [{"priority": "", "title": "", "description": ""}],
+  "codeQuality": {"score": 0-100, "issues": []}
+}`,
+      [
+        '"bugs" lists only defects with a security impact; use [] if there are none',
+        'every security finding must have a "description"',
+        '"cwe" is optional and must look like CWE-<number>',
+      ]
+    ),
+    schema: findingsSchema({
+      security: withItemProperties(
+        base.security,
+        {
+          description: nonEmptyString,
+          cwe: { type: "string", minLength: 5 },
+          remediation: { type: "string" },
+        },
+        { required: ["type", "severity", "file", "description"] }
+      ),
+    }),
+  },
+
+  performance_review: {
+    label: "Performance review",
+    description:
+      "Slow paths: N+1 queries, blocking I/O, unbounded memory, inefficient algorithms",
+    version: 1,
+    prompt: template(
+      "Analyze this codebase for performance problems: N+1 queries, blocking I/O on hot paths, unbounded memory growth, inefficient algorithms, missing caching or pagination. Return JSON with:",
+      `{
+  "bugs": [{"severity": "", "description": "", "file": "", "line": 1, "impact": "cpu|memory|io|network|latency"}],
+  "security": [],
+  "recommendations": [{"priority": "", "title": "", "description": ""}],
+  "codeQuality": {"score": 0-100, "issues": []}
+}`,
+      [
+        '"bugs" holds the performance problems',
+        '"impact" must be one of: cpu, memory, io, network, latency',
+        '"security" stays [] unless a problem is also a security risk (e.g. denial of service)',
+      ]
+    ),
+    schema: findingsSchema({
+      bugs: withItemProperties(base.bugs, {
+        impact: {
+          type: "string",
+          enum: ["cpu", "memory", "io", "network", "latency"],
+        },
+      }),
+    }),
+  },
+
+  accessibility: {
+    label: "Accessibility",
+    description: "WCAG issues in UI code: semantics, labels, contrast, focus",
+    version: 1,
+    prompt: template(
+      "Analyze the UI code in this codebase for accessibility problems: missing labels and alt text, non-semantic markup, keyboard traps, focus handling, color contrast and ARIA misuse. Return JSON with:",
+      `{
+  "bugs": [{"severity": "", "description": "", "file": "", "line": 1, "wcag": "1.1.1"}],
+  "security": [],
+  "recommendations": [{"priority": "", "title": "", "description": ""}],
+  "codeQuality": {"score": 0-100, "issues": []}
+}`,
+      [
+        '"bugs" holds the accessibility problems',
+        '"wcag" is optional: the WCAG 2.x success criterion, e.g. 1.4.3',
+        '"security" is always []',
+        "if the repository has no UI code, return empty arrays",
+      ]
+    ),
+    schema: findingsSchema({
+      bugs: withItemProperties(base.bugs, {
+        wcag: { type: "string", minLength: 5 },
+      }),
+    }),
+  },
+
+  api_design: {
+    label: "API design",
+    description:
+      "HTTP/RPC API consistency, error handling, versioning and validation",
+    version: 1,
+    prompt: template(
+      "Analyze the public API of this codebase (HTTP routes, RPC handlers or library exports): naming consistency, status codes and error shapes, versioning, input validation, pagination and backwards compatibility. Return JSON with:",
+      `{
+  "api": {"style": "REST|GraphQL|RPC|library", "issues": []},
+  "bugs": [{"severity": "", "description": "", "file": "", "line": 1}],
+  "security": [{"type": "", "severity": "", "description": "", "file": "", "line": 1}],
+  "recommendations": [{"priority": "", "title": "", "description": ""}]
+}`,
+      [
+        '"bugs" lists API behaviour that is wrong, e.g. wrong status codes or missing validation',
+        '"api.issues" lists design problems as short sentences',
+      ]
+    ),
+    schema: findingsSchema(
+      {
+        api: {
+          type: "object",
+          required: ["style", "issues"],
+          properties: {
+            style: nonEmptyString,
+            issues: { type: "array", items: nonEmptyString },
+          },
+        },
+      },
+      ["api"]
+    ),
+  },
+
+  quick_scan: {
+    label: "Quick scan",
+    description: "Only the most severe bugs and security issues",
+    version: 1,
+    prompt: template(
+      "Quickly scan this codebase for the most severe problems only. Return JSON with:",
+      `{
+  "bugs": [{"severity": "", "description": "", "file": "", "line": 1}],
+  "security": [{"type": "", "severity": "", "description": "", "file": "", "line": 1}],
+  "recommendations": [{"priority": "", "title": "", "description": ""}]
+}`,
+      [
+        "report only critical and high severity findings",
+        "at most 3 recommendations",
+      ]
+    ),
+    schema: findingsSchema({
+      bugs: withItemProperties(base.bugs, {
+        severity: { type: "string", enum: ["critical", "high"] },
+      }),
+      security: withItemProperties(base.security, {
+        severity: { type: "string", enum: ["critical", "high"] },
+      }),
+      recommendations: { ...base.recommendations, maxItems: 3 },
+    }),
+  },
+};
+
+// =============================
+// LOOKUP
+// =============================
+
+function getProfile(name = DEFAULT_PROFILE) {
+  return Object.hasOwn(PROFILES, name) ? { name, ...PROFILES[name] } : null;
+}
+
+function listProfiles() {
+  return Object.entries(PROFILES).map(
+    ([name, { label, description, version }]) => ({
+      name,
+      label,
+      description,
+      version,
+    })
+  );
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILE_NAMES: Object.keys(PROFILES),
+  getProfile,
+  listProfiles,
+};
@@ -0,0 +1,229 @@
+// Strict schema for the JSON payload the agent returns from an analysis.
+// Schemas use a small JSON-Schema subset: type, properties, required,
+// additionalProperties (false only), items, enum, minimum, maximum,
+// minLength, maxLength, maxItems.
+
+const SEVERITIES = ["critical", "high", "medium", "low", "info"];
+const PRIORITIES = ["critical", "high", "medium", "low"];
+
+const nonEmptyString = { type: "string", minLength: 1 };
+
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  required: [
+    "architecture",
+    "codeQuality",
+    "bugs",
+    "security",
+    "recommendations",
+  ],
+  properties: {
+    architecture: {
+      type: "object",
+      required: ["pattern", "strengths", "weaknesses"],
+      properties: {
+        pattern: nonEmptyString,
+        strengths: { type: "array", items: nonEmptyString },
+        weaknesses: { type: "array", items: nonEmptyString },
+      },
+    },
+    codeQuality: {
+      type: "object",
+      required: ["score", "issues"],
+      properties: {
+        score: { type: "number", minimum: 0, maximum: 100 },
+        issues: { type: "array", items: nonEmptyString },
+      },
+    },
+    bugs: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["severity", "description", "file"],
+        properties: {
+          severity: { type: "string", enum: SEVERITIES },
+          description: nonEmptyString,
+          file: nonEmptyString,
+          line: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+    security: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type", "severity", "file"],
+        properties: {
+          type: nonEmptyString,
+          severity: { type: "string", enum: SEVERITIES },
+          description: { type: "string" },
+          file: nonEmptyString,
+          line: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+    recommendations: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["priority", "title", "description"],
+        properties: {
+          priority: { type: "string", enum: PRIORITIES },
+          title: nonEmptyString,
+          description: nonEmptyString,
+        },
+      },
+    },
+  },
+};
+
+// =============================
+// VALIDATION
+// =============================
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+// Returns a list of "path: message" strings, empty when valid
+function validateSchema(schema, value, at = "$") {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at}: expected ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`
+    );
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+  }
+
+  if (typeof value === "string" && schema.maxLength !== undefined) {
+    if (value.length > schema.maxLength) {
+      errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${at}.${key}: is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(propSchema, value[key], `${at}.${key}`));
+      }
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter((key) => !(schema.properties || {})[key])
+        .forEach((key) => errors.push(`${at}.${key}: is not allowed`));
+    }
+  }
+
+  if (schema.type === "array" && schema.maxItems !== undefined) {
+    if (value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    }
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(schema.items, item, `${at}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Case-folds enum values so "High" and "HIGH" are accepted as "high"
+function normalizeEnums(schema, value) {
+  if (schema.enum && typeof value === "string") {
+    const folded = value.trim().toLowerCase();
+    return schema.enum.includes(folded) ? folded : value;
+  }
+
+  if (schema.type === "object" && typeOf(value) === "object") {
+    const result = { ...value };
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (result[key] !== undefined) {
+        result[key] = normalizeEnums(propSchema, result[key]);
+      }
+    });
+    return result;
+  }
+
+  if (schema.type === "array" && schema.items && Array.isArray(value)) {
+    return value.map((item) => normalizeEnums(schema.items, item));
+  }
+
+  return value;
+}
+
+function validateAnalysis(payload, schema = ANALYSIS_SCHEMA) {
+  const value = normalizeEnums(schema, payload);
+  const errors = validateSchema(schema, value);
+  return { valid: errors.length === 0, errors, value };
+}
+
+// Keeps only the parts of an invalid payload that validate on their own.
+// Nothing is filled in: missing sections stay missing.
+function salvageAnalysis(payload, schema = ANALYSIS_SCHEMA) {
+  const value = normalizeEnums(schema, payload);
+  if (typeOf(value) !== "object") return {};
+
+  const salvaged = {};
+
+  Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+    const section = value[key];
+    if (section === undefined || section === null) return;
+
+    if (propSchema.type === "array" && Array.isArray(section)) {
+      salvaged[key] = section.filter(
+        (item) => validateSchema(propSchema.items, item).length === 0
+      );
+    } else if (validateSchema(propSchema, section).length === 0) {
+      salvaged[key] = section;
+    }
+  });
+
+  return salvaged;
+}
+
+module.exports = {
+  SEVERITIES,
+  PRIORITIES,
+  ANALYSIS_SCHEMA,
+  validateSchema,
+  validateAnalysis,
+  salvageAnalysis,
+};
@@ -0,0 +1,257 @@
+const supabase = require("./supabase.services");
+const { extractFindings, diffFindings } = require("./findings.services");
+const {
+  matchesSuppression,
+  getActiveSuppressions,
+} = require("./suppressions.services");
+
+// Bugs and security findings are stored per repository in `findings`, keyed
+// by fingerprint, and linked to every analysis that reported them through
+// `analysis_findings`. Status follows the lifecycle below.
+
+const FINDING_STATUSES = [
+  "open",
+  "acknowledged",
+  "dismissed",
+  "fixed",
+  "regressed",
+];
+
+// Statuses a user can set; fixed and regressed only follow from analyses
+const USER_STATUSES = ["open", "acknowledged", "dismissed"];
+
+// Statuses that still need attention
+const ACTIVE_STATUSES = ["open", "acknowledged", "regressed"];
+
+const TRACKED_CATEGORIES = ["bug", "security"];
+
+// =============================
+// SYNC
+// =============================
+
+function rowToFinding(row) {
+  return {
+    category: row.category,
+    severity: row.severity,
+    type: row.type,
+    description: row.description,
+    file: row.file,
+    line: row.line,
+    fingerprint: row.fingerprint,
+    row,
+  };
+}
+
+// Suppressed findings are tracked too, so they stay dismissed instead of
+// looking fixed
+function currentFindings(aiAnalysis) {
+  const suppressed = (aiAnalysis?.suppressed || []).map((item) => ({
+    ...extractFindings({
+      [item.category === "bug" ? "bugs" : "security"]: [item],
+    })[0],
+    suppressionId: item.suppressionId,
+    suppressionReason: item.suppressionReason,
+  }));
+
+  const seen = new Set();
+  return [...extractFindings(aiAnalysis), ...suppressed].filter((finding) => {
+    if (!TRACKED_CATEGORIES.includes(finding.category)) return false;
+    if (seen.has(finding.fingerprint)) return false;
+    seen.add(finding.fingerprint);
+    return true;
+  });
+}
+
+// Whether the suppression a finding was dismissed under is still active and
+// still matches the stored finding. A reworded report matched to the row by
+// description may have slipped past the suppression, so it is checked
+// against the row's own fingerprint, not the new item.
+function suppressionStillApplies(finding, suppressions) {
+  const suppression = suppressions.find(
+    (s) => s.suppression_id === finding.row.suppression_id
+  );
+  return Boolean(suppression) && matchesSuppression(finding, suppression);
+}
+
+// Records the findings of a completed analysis against the repository's
+// known findings: new ones are opened, missing active ones become fixed and
+// fixed ones that reappear become regressed.
+async function syncFindings(analysis) {
+  const {
+    analysis_id: analysisId,
+    user_id: userId,
+    repo_owner: owner,
+    repo_name: repo,
+  } = analysis;
+  const now = new Date().toISOString();
+  const current = currentFindings(analysis.ai_analysis);
+
+  const { data: rows, error } = await supabase
+    .from("findings")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("repo_owner", owner)
+    .eq("repo_name", repo);
+
+  if (error) throw error;
+
+  const suppressions = await getActiveSuppressions(userId, owner, repo);
+  const diff = diffFindings(rows.map(rowToFinding), current);
+  const links = [];
+  let regressed = 0;
+
+  for (const { before, after } of diff.unchanged) {
+    const update = {
+      severity: after.severity,
+      type: after.type || null,
+      description: after.description,
+      line: after.line,
+      last_seen_analysis_id: analysisId,
+      last_seen_at: now,
+      updated_at: now,
+    };
+
+    if (after.suppressionId) {
+      if (before.row.suppression_id !== after.suppressionId) {
+        Object.assign(update, {
+          status: "dismissed",
+          status_reason: after.suppressionReason,
+          suppression_id: after.suppressionId,
+          status_changed_at: now,
+        });
+      }
+    } else if (
+      before.row.suppression_id &&
+      !suppressionStillApplies(before, suppressions)
+    ) {
+      // The suppression was deleted, expired or narrowed
+      Object.assign(update, {
+        status: "open",
+        status_reason: "Suppression no longer applies",
+        suppression_id: null,
+        status_changed_at: now,
+      });
+    } else if (before.row.status === "fixed") {
+      regressed++;
+      Object.assign(update, {
+        status: "regressed",
+        status_reason: `Reported again by ${analysisId}`,
+        status_changed_at: now,
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from("findings")
+      .update(update)
+      .eq("finding_id", before.row.finding_id);
+
+    if (updateError) throw updateError;
+    links.push({ finding_id: before.row.finding_id, ...after });
+  }
+
+  if (diff.new.length > 0) {
+    const { data: inserted, error: insertError } = await supabase
+      .from("findings")
+      .insert(
+        diff.new.map((finding) => ({
+          user_id: userId,
+          repo_owner: owner,
+          repo_name: repo,
+          fingerprint: finding.fingerprint,
+          category: finding.category,
+          severity: finding.severity,
+          type: finding.type || null,
+          description: finding.description,
+          file: finding.file,
+          line: finding.line,
+          status: finding.suppressionId ? "dismissed" : "open",
+          status_reason: finding.suppressionReason || null,
+          suppression_id: finding.suppressionId || null,
+          first_seen_analysis_id: analysisId,
+          last_seen_analysis_id: analysisId,
+          first_seen_at: now,
+          last_seen_at: now,
+          status_changed_at: now,
+        }))
+      )
+      .select("finding_id, fingerprint");
+
+    if (insertError) throw insertError;
+
+    inserted.forEach((row) => {
+      const finding = diff.new.find((f) => f.fingerprint === row.fingerprint);
+      links.push({ finding_id: row.finding_id, ...finding });
+    });
+  }
+
+  const fixedIds = diff.resolved
+    .filter((finding) => ACTIVE_STATUSES.includes(finding.row.status))
+    .map((finding) => finding.row.finding_id);
+
+  if (fixedIds.length > 0) {
+    const { error: fixError } = await supabase
+      .from("findings")
+      .update({
+        status: "fixed",
+        status_reason: `Not reported by ${analysisId}`,
+        status_changed_at: now,
+        updated_at: now,
+      })
+      .in("finding_id", fixedIds);
+
+    if (fixError) throw fixError;
+  }
+
+  if (links.length > 0) {
+    const { error: linkError } = await supabase
+      .from("analysis_findings")
+      .upsert(
+        links.map((link) => ({
+          analysis_id: analysisId,
+          finding_id: link.finding_id,
+          severity: link.severity,
+          line: link.line,
+        })),
+        { onConflict: "analysis_id,finding_id" }
+      );
+
+    if (linkError) throw linkError;
+  }
+
+  return {
+    total: current.length,
+    new: diff.new.length,
+    fixed: fixedIds.length,
+    regressed,
+    suppressed: current.filter((f) => f.suppressionId).length,
+  };
+}
+
+// =============================
+// QUERIES
+// =============================
+
+// Findings reported by an analysis, with their current lifecycle status
+async function getAnalysisFindings(analysisId) {
+  const { data, error } = await supabase
+    .from("findings")
+    .select("*, analysis_findings!inner(analysis_id, severity, line)")
+    .eq("analysis_findings.analysis_id", analysisId);
+
+  if (error) throw error;
+
+  return (data || []).map(({ analysis_findings: links, ...row }) => ({
+    ...row,
+    // Severity and line as reported by this analysis
+    severity: links[0]?.severity || row.severity,
+    line: links[0]?.line ?? row.line,
+  }));
+}
+
+module.exports = {
+  FINDING_STATUSES,
+  USER_STATUSES,
+  ACTIVE_STATUSES,
+  syncFindings,
+  getAnalysisFindings,
+};
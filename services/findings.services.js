@@ -0,0 +1,262 @@
+const crypto = require("crypto");
+
+// Findings are the bugs, security issues and recommendations inside an
+// analysis' `ai_analysis`. The LLM rewords the same finding from run to run,
+// so matching works on normalized text rather than exact strings.
+
+const SIMILARITY_THRESHOLD = 0.5;
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "can",
+  "could",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "its",
+  "may",
+  "might",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "when",
+  "which",
+  "with",
+]);
+
+// =============================
+// NORMALIZATION
+// =============================
+
+function normalizePath(file) {
+  if (!file) return "";
+  return String(file)
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/^\.\//, "")
+    .replace(/^\/+/, "")
+    .replace(/:\d+(:\d+)?$/, "")
+    .toLowerCase();
+}
+
+// `**` spans directories, `*` and `?` stay within one path segment
+function globToRegExp(glob) {
+  let pattern = "";
+  const source = normalizePath(glob);
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "*" && source[i + 1] === "*") {
+      const slash = source[i + 2] === "/";
+      pattern += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") pattern += "[^/]*";
+    else if (char === "?") pattern += "[^/]";
+    else pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+// Lowercased word stems without punctuation, numbers or filler words
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[`'"-]/g, "")
+    .split(/[^a-z0-9_]+/)
+    .filter((word) => word && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map((word) => word.replace(/(ing|ed|es|s)$/, ""))
+    .filter((word) => word.length > 1);
+}
+
+function normalizeText(text) {
+  return Array.from(new Set(tokenize(text)))
+    .sort()
+    .join(" ");
+}
+
+function similarity(a, b) {
+  const setA = new Set(tokenize(a));
+  const setB = new Set(tokenize(b));
+  if (setA.size === 0 && setB.size === 0) return 1;
+
+  let shared = 0;
+  setA.forEach((word) => {
+    if (setB.has(word)) shared++;
+  });
+
+  return shared / (setA.size + setB.size - shared);
+}
+
+// =============================
+// EXTRACTION
+// =============================
+
+function findingText(finding) {
+  return finding.category === "recommendation"
+    ? finding.title
+    : [finding.type, finding.description].filter(Boolean).join(" ");
+}
+
+function fingerprint(finding) {
+  return crypto
+    .createHash("sha1")
+    .update(
+      [
+        finding.category,
+        normalizePath(finding.file),
+        normalizeText(findingText(finding)),
+      ].join("|")
+    )
+    .digest("hex")
+    .substring(0, 16);
+}
+
+// The bugs and security findings of an analysis as reported, for exports:
+// security first, then bugs, then suppressed ones flagged `suppressed`.
+// Each keeps all its fields and gets its category and fingerprint.
+function collectFindings(aiAnalysis) {
+  const ai = aiAnalysis || {};
+  const tag = (category, suppressed) => (item) => ({
+    ...item,
+    category: item.category || category,
+    suppressed,
+  });
+
+  return [
+    ...(Array.isArray(ai.security) ? ai.security : []).map(
+      tag("security", false)
+    ),
+    ...(Array.isArray(ai.bugs) ? ai.bugs : []).map(tag("bug", false)),
+    ...(Array.isArray(ai.suppressed) ? ai.suppressed : []).map(tag(null, true)),
+  ].map((finding) => ({ ...finding, fingerprint: fingerprint(finding) }));
+}
+
+function extractFindings(aiAnalysis) {
+  const ai = aiAnalysis || {};
+  const findings = [];
+
+  (Array.isArray(ai.bugs) ? ai.bugs : []).forEach((bug) => {
+    findings.push({
+      category: "bug",
+      severity: bug.severity,
+      description: bug.description,
+      file: bug.file,
+      line: bug.line || null,
+    });
+  });
+
+  (Array.isArray(ai.security) ? ai.security : []).forEach((vuln) => {
+    findings.push({
+      category: "security",
+      severity: vuln.severity,
+      type: vuln.type,
+      description: vuln.description || null,
+      file: vuln.file,
+      line: vuln.line || null,
+    });
+  });
+
+  (Array.isArray(ai.recommendations) ? ai.recommendations : []).forEach(
+    (rec) => {
+      findings.push({
+        category: "recommendation",
+        severity: rec.priority,
+        title: rec.title,
+        description: rec.description,
+        file: null,
+        line: null,
+      });
+    }
+  );
+
+  return findings.map((finding) => ({
+    ...finding,
+    fingerprint: fingerprint(finding),
+  }));
+}
+
+// =============================
+// MATCHING
+// =============================
+
+function canMatch(a, b) {
+  return (
+    a.category === b.category && normalizePath(a.file) === normalizePath(b.file)
+  );
+}
+
+// Pairs findings of `before` with findings of `after`: exact fingerprints
+// first, then the most similar remaining finding above the threshold.
+function diffFindings(before, after, threshold = SIMILARITY_THRESHOLD) {
+  const unmatchedBefore = new Set(before.map((_, i) => i));
+  const unmatchedAfter = new Set(after.map((_, i) => i));
+  const unchanged = [];
+
+  after.forEach((finding, j) => {
+    const i = before.findIndex(
+      (candidate, idx) =>
+        unmatchedBefore.has(idx) &&
+        candidate.fingerprint === finding.fingerprint
+    );
+    if (i !== -1) {
+      unmatchedBefore.delete(i);
+      unmatchedAfter.delete(j);
+      unchanged.push({ before: before[i], after: finding, similarity: 1 });
+    }
+  });
+
+  const candidates = [];
+  unmatchedAfter.forEach((j) => {
+    unmatchedBefore.forEach((i) => {
+      if (!canMatch(before[i], after[j])) return;
+      const score = similarity(findingText(before[i]), findingText(after[j]));
+      if (score >= threshold) candidates.push({ i, j, score });
+    });
+  });
+
+  // Highest similarity wins; ties resolved by position for stable output
+  candidates
+    .sort((a, b) => b.score - a.score || a.j - b.j || a.i - b.i)
+    .forEach(({ i, j, score }) => {
+      if (!unmatchedBefore.has(i) || !unmatchedAfter.has(j)) return;
+      unmatchedBefore.delete(i);
+      unmatchedAfter.delete(j);
+      unchanged.push({
+        before: before[i],
+        after: after[j],
+        similarity: Math.round(score * 100) / 100,
+      });
+    });
+
+  return {
+    new: Array.from(unmatchedAfter).map((j) => after[j]),
+    resolved: Array.from(unmatchedBefore).map((i) => before[i]),
+    unchanged,
+  };
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  normalizePath,
+  globToRegExp,
+  normalizeText,
+  similarity,
+  fingerprint,
+  collectFindings,
+  extractFindings,
+  diffFindings,
+};
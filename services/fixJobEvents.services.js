@@ -0,0 +1,59 @@
+const supabase = require("./supabase.services");
+const progressBus = require("./progressBus.services");
+
+// Append-only event log of autonomous fix jobs. Every phase transition and
+// result is stored with an increasing id, so a stream client that reconnects
+// with Last-Event-ID resumes exactly where it left off, on any instance.
+
+const FIX_JOB_PHASES = [
+  "cloning",
+  "analyzing",
+  "fixing",
+  "verifying",
+  "committing",
+  "pushing",
+  "creating_pr",
+];
+
+// Event types after which a job emits nothing more
+const FIX_JOB_TERMINAL_EVENTS = ["completed", "failed", "cancelled"];
+
+// Best-effort: a lost event must never fail the job itself. The bus
+// message only announces the event; streams read it from the log.
+async function recordFixJobEvent(jobId, type, data = {}) {
+  try {
+    const { error } = await supabase
+      .from("autonomous_fix_events")
+      .insert({ job_id: jobId, type, data });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`⚠️ Fix job event not recorded: ${error.message}`);
+  }
+
+  progressBus.publish("autonomous_fix", jobId, {
+    type,
+    ...(type === "phase" && data),
+  });
+}
+
+// Events with an id greater than `afterId`, oldest first
+async function getFixJobEvents(jobId, afterId = 0) {
+  const { data, error } = await supabase
+    .from("autonomous_fix_events")
+    .select("event_id, type, data, created_at")
+    .eq("job_id", jobId)
+    .gt("event_id", afterId)
+    .order("event_id", { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+}
+
+module.exports = {
+  FIX_JOB_PHASES,
+  FIX_JOB_TERMINAL_EVENTS,
+  recordFixJobEvent,
+  getFixJobEvents,
+};
@@ -0,0 +1,197 @@
+const supabase = require("./supabase.services");
+const { validateAnalysis } = require("./analysisSchema.services");
+const { FIX_POLICY_SCHEMA, matchesAny } = require("./repoConfig.services");
+
+// Guardrails on the diff of an autonomous fix, checked before anything is
+// committed. The effective policy is the defaults, overridden by the user's
+// stored policy, then tightened by `fix.policy` in the repo's .devpulse.yml.
+// The repo is someone else's code, so it can never loosen the policy: limits
+// take the lower value, allow flags must both be set, forbidden paths add up
+// and the stricter onViolation/verification wins. The default forbidden
+// paths always apply.
+//
+// File rules (forbidden paths, binary files, deleted files) either revert
+// the offending files or fail the job, per `onViolation`. Size limits are
+// checked on what is left and always fail: there is no right half of a fix
+// to keep. `verification` decides what a failing test/lint run does: block
+// the PR, flag it in the PR body, or skip verification altogether.
+
+const DEFAULT_FIX_POLICY = {
+  forbiddenPaths: [
+    // Manifests
+    "**/package.json",
+    "**/requirements*.txt",
+    "**/pyproject.toml",
+    "**/Pipfile",
+    "**/setup.py",
+    "**/go.mod",
+    "**/Cargo.toml",
+    "**/Gemfile",
+    "**/composer.json",
+    "**/pom.xml",
+    "**/build.gradle*",
+    // Lockfiles
+    "**/package-lock.json",
+    "**/npm-shrinkwrap.json",
+    "**/yarn.lock",
+    "**/pnpm-lock.yaml",
+    "**/Pipfile.lock",
+    "**/poetry.lock",
+    "**/go.sum",
+    "**/Cargo.lock",
+    "**/Gemfile.lock",
+    "**/composer.lock",
+    // CI config
+    ".github/workflows/**",
+    ".gitlab-ci.yml",
+    ".circleci/**",
+    ".travis.yml",
+    "azure-pipelines.yml",
+    "Jenkinsfile",
+    // Environment files
+    "**/.env",
+    "**/.env.*",
+  ],
+  maxFiles: 10,
+  maxLines: 500,
+  allowBinary: false,
+  allowDeletions: false,
+  onViolation: "revert",
+  verification: "flag",
+};
+
+// Returns { error, policy }: an error message, or null and the policy
+// with its enum values normalized
+function validateFixPolicy(policy) {
+  const { valid, errors, value } = validateAnalysis(policy, FIX_POLICY_SCHEMA);
+  return valid
+    ? { error: null, policy: value }
+    : { error: `Invalid policy: ${errors.join("; ")}`, policy: null };
+}
+
+// Least to most strict
+const ON_VIOLATION_ORDER = ["revert", "fail"];
+const VERIFICATION_ORDER = ["off", "flag", "block"];
+
+function stricter(order, a, b) {
+  if (b === undefined) return a;
+  return order.indexOf(b) > order.indexOf(a) ? b : a;
+}
+
+function mergePaths(...lists) {
+  return [...new Set(lists.flatMap((list) => list || []))];
+}
+
+function resolveFixPolicy(userPolicy = {}, repoPolicy = {}) {
+  const base = {
+    ...DEFAULT_FIX_POLICY,
+    ...userPolicy,
+    forbiddenPaths: mergePaths(
+      DEFAULT_FIX_POLICY.forbiddenPaths,
+      userPolicy.forbiddenPaths
+    ),
+  };
+
+  return {
+    forbiddenPaths: mergePaths(base.forbiddenPaths, repoPolicy.forbiddenPaths),
+    maxFiles: Math.min(base.maxFiles, repoPolicy.maxFiles ?? Infinity),
+    maxLines: Math.min(base.maxLines, repoPolicy.maxLines ?? Infinity),
+    allowBinary: base.allowBinary && repoPolicy.allowBinary !== false,
+    allowDeletions: base.allowDeletions && repoPolicy.allowDeletions !== false,
+    onViolation: stricter(
+      ON_VIOLATION_ORDER,
+      base.onViolation,
+      repoPolicy.onViolation
+    ),
+    verification: stricter(
+      VERIFICATION_ORDER,
+      base.verification,
+      repoPolicy.verification
+    ),
+  };
+}
+
+// The user's stored policy, or {} when they have none
+async function getUserFixPolicy(userId) {
+  if (!userId) return {};
+
+  const { data, error } = await supabase
+    .from("fix_policies")
+    .select("policy")
+    .eq("user_id", String(userId));
+
+  if (error) throw error;
+
+  return data[0]?.policy || {};
+}
+
+// =============================
+// CHECKS
+// =============================
+
+// Files of a getWorkingTreeChanges result that break a file rule, as
+// { file, rule, message }; renames are checked under both paths
+function fileViolations(changes, policy) {
+  const violations = [];
+
+  changes.files.forEach((change) => {
+    const paths = [change.file, change.previousFile].filter(Boolean);
+
+    if (paths.some((file) => matchesAny(policy.forbiddenPaths, file))) {
+      violations.push({
+        file: change.file,
+        rule: "forbidden_path",
+        message: `${change.file} matches a forbidden path`,
+      });
+    } else if (change.binary && !policy.allowBinary) {
+      violations.push({
+        file: change.file,
+        rule: "binary_file",
+        message: `${change.file} is a binary file`,
+      });
+    } else if (change.status === "deleted" && !policy.allowDeletions) {
+      violations.push({
+        file: change.file,
+        rule: "deleted_file",
+        message: `${change.file} was deleted`,
+      });
+    }
+  });
+
+  return violations;
+}
+
+function sizeViolations(changes, policy) {
+  const violations = [];
+  const lines = changes.additions + changes.deletions;
+
+  if (changes.files.length > policy.maxFiles) {
+    violations.push({
+      rule: "max_files",
+      message: `${changes.files.length} files changed, the limit is ${policy.maxFiles}`,
+    });
+  }
+  if (lines > policy.maxLines) {
+    violations.push({
+      rule: "max_lines",
+      message: `${lines} lines changed, the limit is ${policy.maxLines}`,
+    });
+  }
+
+  return violations;
+}
+
+// One line per violation, for job errors and PR bodies
+function formatViolations(violations) {
+  return violations.map((violation) => `- ${violation.message}`).join("\n");
+}
+
+module.exports = {
+  DEFAULT_FIX_POLICY,
+  validateFixPolicy,
+  resolveFixPolicy,
+  getUserFixPolicy,
+  fileViolations,
+  sizeViolations,
+  formatViolations,
+};
@@ -0,0 +1,356 @@
+const { spawn } = require("child_process");
+const fs = require("fs").promises;
+const path = require("path");
+
+const FULL_SHA = /^[0-9a-f]{40}$/i;
+const GITHUB_ORIGIN = "https://github.com/";
+
+// Resolves with trimmed stdout (the raw Buffer with `raw`), rejects with
+// stderr
+function runCommand(cmd, args, cwd, { signal, env, raw = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, { cwd, signal, env });
+    const stdout = [];
+    let stderr = "";
+    proc.stdout.on("data", (d) => stdout.push(d));
+    proc.stderr.on("data", (d) => (stderr += d.toString()));
+    proc.on("close", (code) => {
+      const output = Buffer.concat(stdout);
+      if (code === 0) resolve(raw ? output : output.toString().trim());
+      else reject(new Error(stderr));
+    });
+    proc.on("error", reject);
+  });
+}
+
+// =============================
+// CREDENTIALS
+// =============================
+
+// Git environment that authenticates github.com requests with `token`.
+// The header is passed through GIT_CONFIG_* env vars, so the token never
+// lands in .git/config, the remote URL or the process arguments.
+function gitEnv(token) {
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: "0" };
+  if (!token) return env;
+
+  const basic = Buffer.from(`x-access-token:${token}`).toString("base64");
+
+  return {
+    ...env,
+    GIT_CONFIG_COUNT: "1",
+    GIT_CONFIG_KEY_0: `http.${GITHUB_ORIGIN}.extraheader`,
+    GIT_CONFIG_VALUE_0: `AUTHORIZATION: basic ${basic}`,
+  };
+}
+
+function redactToken(message, token) {
+  if (!token || !message) return message;
+  const basic = Buffer.from(`x-access-token:${token}`).toString("base64");
+  return message.split(token).join("***").split(basic).join("***");
+}
+
+function assertSafeUrl(repoUrl) {
+  if (typeof repoUrl !== "string" || repoUrl.startsWith("-")) {
+    throw new Error("Invalid repository URL");
+  }
+}
+
+// =============================
+// OPERATIONS
+// =============================
+
+// Shallow clone of the default branch, or of `ref` (branch, tag or SHA).
+// `token` authenticates against github.com for private repositories.
+async function cloneRepository(
+  repoUrl,
+  targetDir,
+  { signal, ref, token } = {}
+) {
+  assertSafeUrl(repoUrl);
+  const env = gitEnv(token);
+
+  try {
+    if (!ref) {
+      await runCommand(
+        "git",
+        ["clone", "--depth", "1", "--", repoUrl, targetDir],
+        undefined,
+        { signal, env }
+      );
+      return;
+    }
+
+    await runCommand("git", ["init", "-q"], targetDir, { signal, env });
+    await runCommand("git", ["remote", "add", "origin", repoUrl], targetDir, {
+      signal,
+      env,
+    });
+    await fetchAndCheckout(targetDir, ref, { signal, env });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error(`Git clone failed: ${redactToken(error.message, token)}`);
+  }
+}
+
+// Detached checkout of `ref` from origin into an existing repository
+async function fetchAndCheckout(repoPath, ref, { signal, env }) {
+  try {
+    await runCommand(
+      "git",
+      ["fetch", "-q", "--depth", "1", "origin", ref],
+      repoPath,
+      { signal, env }
+    );
+    await runCommand(
+      "git",
+      ["checkout", "-q", "--detach", "FETCH_HEAD"],
+      repoPath,
+      { signal, env }
+    );
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    // Abbreviated SHAs cannot be fetched directly
+    await runCommand("git", ["fetch", "-q", "origin"], repoPath, {
+      signal,
+      env,
+    });
+    await runCommand("git", ["checkout", "-q", "--detach", ref], repoPath, {
+      signal,
+      env,
+    });
+  }
+}
+
+// Switches an existing clone to `ref`, e.g. a PR base branch
+async function checkoutRef(repoPath, ref, { signal, token } = {}) {
+  try {
+    await fetchAndCheckout(repoPath, ref, { signal, env: gitEnv(token) });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error(
+      `Git checkout of ${ref} failed: ${redactToken(error.message, token)}`
+    );
+  }
+}
+
+// Pushes `branchName` to `remoteUrl` with the same credential path as clones
+async function pushBranch(repoPath, remoteUrl, branchName, { token } = {}) {
+  assertSafeUrl(remoteUrl);
+
+  try {
+    await runCommand("git", ["push", remoteUrl, branchName], repoPath, {
+      env: gitEnv(token),
+    });
+  } catch (error) {
+    throw new Error(redactToken(error.message, token));
+  }
+}
+
+function getHeadSha(repoPath) {
+  return runCommand("git", ["rev-parse", "HEAD"], repoPath);
+}
+
+// Stages every change in the working tree, including new files, and returns
+// them as one binary-safe unified diff against HEAD ("" when unchanged)
+async function getStagedDiff(repoPath) {
+  await runCommand("git", ["add", "-A"], repoPath);
+  const output = await runCommand(
+    "git",
+    ["diff", "--cached", "--binary", "HEAD"],
+    repoPath,
+    { raw: true }
+  );
+
+  // Files git treats as text are diffed byte for byte; the patch is stored
+  // as text, so it must survive the round trip
+  const diff = output.toString("utf8");
+  if (!Buffer.from(diff, "utf8").equals(output)) {
+    throw new Error("Changes include non-UTF-8 text that cannot be stored");
+  }
+
+  return diff;
+}
+
+const CHANGE_STATUSES = {
+  A: "added",
+  C: "copied",
+  D: "deleted",
+  M: "modified",
+  R: "renamed",
+  T: "type_changed",
+};
+
+// What actually changed in the working tree, from git rather than from the
+// agent's account of it: one entry per file with its status, added and
+// removed lines (null for binary files) and the previous path of renames,
+// plus totals and the full diff.
+async function getWorkingTreeChanges(repoPath) {
+  const diff = await getStagedDiff(repoPath);
+  if (!diff) {
+    return { files: [], additions: 0, deletions: 0, binaryFiles: 0, diff };
+  }
+
+  const git = (args) =>
+    runCommand(
+      "git",
+      ["diff", "--cached", "-M", "-z", ...args, "HEAD"],
+      repoPath,
+      {
+        raw: true,
+      }
+    ).then((output) => output.toString("utf8").split("\0"));
+
+  // <status>\0<path>\0, or <R|C><score>\0<old>\0<new>\0
+  const files = [];
+  const nameStatus = await git(["--name-status"]);
+  for (let i = 0; i < nameStatus.length - 1; ) {
+    const code = nameStatus[i][0];
+    if (code === "R" || code === "C") {
+      files.push({
+        file: nameStatus[i + 2],
+        previousFile: nameStatus[i + 1],
+        status: CHANGE_STATUSES[code],
+      });
+      i += 3;
+    } else {
+      files.push({
+        file: nameStatus[i + 1],
+        status: CHANGE_STATUSES[code] || "modified",
+      });
+      i += 2;
+    }
+  }
+
+  // <added>\t<removed>\t<path>\0, or <added>\t<removed>\t\0<old>\0<new>\0;
+  // binary files report "-" for both counts
+  const counts = new Map();
+  const numstat = await git(["--numstat"]);
+  for (let i = 0; i < numstat.length - 1; ) {
+    const [added, removed, file] = numstat[i].split("\t");
+    const binary = added === "-";
+    const entry = {
+      additions: binary ? null : parseInt(added, 10),
+      deletions: binary ? null : parseInt(removed, 10),
+      binary,
+    };
+    if (file) {
+      counts.set(file, entry);
+      i += 1;
+    } else {
+      counts.set(numstat[i + 2], entry);
+      i += 3;
+    }
+  }
+
+  files.forEach((change) =>
+    Object.assign(
+      change,
+      counts.get(change.file) || { additions: 0, deletions: 0, binary: false }
+    )
+  );
+
+  return {
+    files,
+    additions: files.reduce((sum, f) => sum + (f.additions || 0), 0),
+    deletions: files.reduce((sum, f) => sum + (f.deletions || 0), 0),
+    binaryFiles: files.filter((f) => f.binary).length,
+    diff,
+  };
+}
+
+// Puts `paths` back to their HEAD state in the index and working tree;
+// files the change added are removed. Renames need both of their paths.
+async function restorePaths(repoPath, paths) {
+  if (paths.length === 0) return;
+
+  await runCommand(
+    "git",
+    [
+      "--literal-pathspecs",
+      "restore",
+      "--source=HEAD",
+      "--staged",
+      "--worktree",
+      "--",
+      ...paths,
+    ],
+    repoPath
+  );
+}
+
+// Drops everything in the working tree that is not staged: edits to tracked
+// files and untracked or ignored files (build output, installed packages)
+async function resetToIndex(repoPath) {
+  await runCommand("git", ["checkout-index", "--all", "--force"], repoPath);
+  await runCommand("git", ["clean", "-q", "-d", "-x", "--force"], repoPath);
+}
+
+// Applies a patch from getStagedDiff to the working tree and index
+async function applyPatch(repoPath, patch) {
+  const patchFile = path.join(repoPath, ".git", "devpulse.patch");
+  await fs.writeFile(patchFile, patch);
+
+  try {
+    await runCommand(
+      "git",
+      ["apply", "--index", "--binary", patchFile],
+      repoPath
+    );
+  } catch (error) {
+    throw new Error(`Patch does not apply: ${error.message.trim()}`);
+  } finally {
+    await fs.rm(patchFile, { force: true });
+  }
+}
+
+// Resolves a branch, tag or full SHA to a commit SHA without cloning.
+// Returns null when the ref cannot be resolved remotely (e.g. a short SHA).
+async function resolveRemoteRef(repoUrl, ref, { signal, token } = {}) {
+  if (ref && FULL_SHA.test(ref)) return ref.toLowerCase();
+  assertSafeUrl(repoUrl);
+
+  const output = await runCommand(
+    "git",
+    ["ls-remote", repoUrl, ...(ref ? [ref, `${ref}^{}`] : ["HEAD"])],
+    undefined,
+    { signal, env: gitEnv(token) }
+  ).catch((error) => {
+    throw new Error(redactToken(error.message, token));
+  });
+
+  const refs = {};
+  output
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [sha, name] = line.split("\t");
+      refs[name] = sha;
+    });
+
+  if (!ref) return refs.HEAD || null;
+
+  // Peeled annotated tags point at the commit, not the tag object
+  return (
+    refs[`refs/tags/${ref}^{}`] ||
+    refs[`refs/heads/${ref}`] ||
+    refs[`refs/tags/${ref}`] ||
+    refs[ref] ||
+    null
+  );
+}
+
+module.exports = {
+  runCommand,
+  cloneRepository,
+  checkoutRef,
+  pushBranch,
+  getHeadSha,
+  getStagedDiff,
+  getWorkingTreeChanges,
+  restorePaths,
+  resetToIndex,
+  applyPatch,
+  resolveRemoteRef,
+};
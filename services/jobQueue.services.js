@@ -0,0 +1,235 @@
+const os = require("os");
+
+// In-process job queue for analyses and fix jobs.
+// The rows in `analyses` / `autonomous_fix_jobs` are the durable record;
+// this module only decides when each queued row gets to run.
+//
+// With several instances, each one heartbeats the rows of the jobs it holds
+// under its INSTANCE_ID (the hostname by default, so a restarted container
+// recognizes its own jobs). On startup an instance only recovers its own
+// rows and rows whose heartbeat is older than JOB_STALE_AFTER_MS; jobs live
+// on other instances are left alone.
+
+const DEFAULT_MAX_CONCURRENCY = 2;
+const DEFAULT_MAX_PER_USER = 1;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_STALE_AFTER_MS = 2 * 60 * 1000;
+
+const instanceId = process.env.INSTANCE_ID || os.hostname();
+
+const jobTypes = new Map();
+const pending = [];
+const running = new Map();
+
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getStaleAfterMs() {
+  return readLimit("JOB_STALE_AFTER_MS", DEFAULT_STALE_AFTER_MS);
+}
+
+function getLimits() {
+  return {
+    maxConcurrency: readLimit("QUEUE_MAX_CONCURRENCY", DEFAULT_MAX_CONCURRENCY),
+    maxPerUser: readLimit("QUEUE_MAX_PER_USER", DEFAULT_MAX_PER_USER),
+  };
+}
+
+function jobKey(type, id) {
+  return `${type}:${id}`;
+}
+
+// =============================
+// REGISTRATION
+// =============================
+
+// run(id, payload, signal) executes the job and should stop once the
+// AbortSignal fires; recover() is called once on startup and
+// resolves to the jobs to re-queue: [{ id, userId, payload }];
+// heartbeat(ids) marks the rows of the jobs held here as alive
+function registerJobType(type, { run, recover, heartbeat }) {
+  jobTypes.set(type, { run, recover, heartbeat });
+}
+
+// =============================
+// QUEUEING
+// =============================
+
+function enqueue(type, id, userId, payload = {}) {
+  if (!jobTypes.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const key = jobKey(type, id);
+  if (running.has(key) || pending.some((job) => job.key === key)) {
+    return getQueuePosition(type, id);
+  }
+
+  pending.push({
+    key,
+    type,
+    id,
+    userId: userId || null,
+    payload,
+    enqueuedAt: Date.now(),
+  });
+
+  beat(type, [id]);
+  startHeartbeats();
+  pump();
+  return getQueuePosition(type, id);
+}
+
+// 1-based position among waiting jobs, 0 while running, null if unknown
+function getQueuePosition(type, id) {
+  const key = jobKey(type, id);
+  if (running.has(key)) return 0;
+
+  const index = pending.findIndex((job) => job.key === key);
+  return index === -1 ? null : index + 1;
+}
+
+function getQueueStats() {
+  return {
+    running: running.size,
+    queued: pending.length,
+    ...getLimits(),
+  };
+}
+
+function countRunningForUser(userId) {
+  if (!userId) return 0;
+  let count = 0;
+  for (const job of running.values()) {
+    if (job.userId === userId) count++;
+  }
+  return count;
+}
+
+function pump() {
+  const { maxConcurrency, maxPerUser } = getLimits();
+
+  for (let i = 0; i < pending.length && running.size < maxConcurrency; ) {
+    const job = pending[i];
+
+    if (job.userId && countRunningForUser(job.userId) >= maxPerUser) {
+      i++;
+      continue;
+    }
+
+    pending.splice(i, 1);
+    start(job);
+  }
+}
+
+function start(job) {
+  const { run } = jobTypes.get(job.type);
+  job.controller = new AbortController();
+  running.set(job.key, job);
+
+  Promise.resolve()
+    .then(() => run(job.id, job.payload, job.controller.signal))
+    .catch((err) => {
+      console.error(`❌ Job ${job.key} failed:`, err);
+    })
+    .finally(() => {
+      running.delete(job.key);
+      pump();
+    });
+}
+
+// Drops a waiting job or aborts a running one.
+// Returns "queued", "running" or null when the job is not held here.
+function cancel(type, id) {
+  const key = jobKey(type, id);
+
+  const index = pending.findIndex((job) => job.key === key);
+  if (index !== -1) {
+    pending.splice(index, 1);
+    return "queued";
+  }
+
+  const job = running.get(key);
+  if (job) {
+    job.controller.abort();
+    return "running";
+  }
+
+  return null;
+}
+
+// =============================
+// HEARTBEATS
+// =============================
+
+let heartbeatTimer = null;
+
+function beat(type, ids) {
+  const { heartbeat } = jobTypes.get(type);
+  if (!heartbeat || ids.length === 0) return;
+
+  Promise.resolve()
+    .then(() => heartbeat(ids))
+    .catch((error) => {
+      console.error(`❌ Heartbeat for ${type} jobs failed:`, error.message);
+    });
+}
+
+function startHeartbeats() {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    const held = [...pending, ...running.values()];
+    for (const type of jobTypes.keys()) {
+      beat(
+        type,
+        held.filter((job) => job.type === type).map((job) => job.id)
+      );
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+}
+
+// Whether a job row may be taken over by this instance: it was held here
+// before a restart, or its instance stopped sending heartbeats. Rows that
+// never got a heartbeat count from their creation.
+function isOrphaned(row, now = Date.now()) {
+  if (row.instance_id === instanceId) return true;
+
+  const lastSeen = Date.parse(row.heartbeat_at || row.created_at);
+  return !(now - lastSeen < getStaleAfterMs());
+}
+
+// =============================
+// RESTART RECOVERY
+// =============================
+
+async function recoverJobs() {
+  for (const [type, { recover }] of jobTypes) {
+    if (!recover) continue;
+
+    try {
+      const jobs = await recover();
+      jobs.forEach((job) => enqueue(type, job.id, job.userId, job.payload));
+
+      if (jobs.length > 0) {
+        console.log(`♻️ Re-queued ${jobs.length} ${type} job(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to recover ${type} jobs:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  instanceId,
+  isOrphaned,
+  registerJobType,
+  enqueue,
+  getQueuePosition,
+  getQueueStats,
+  cancel,
+  recoverJobs,
+};
@@ -0,0 +1,185 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+
+// Progress event bus. Workers publish job progress here and SSE streams
+// subscribe to it, so connected clients get every transition as it happens
+// instead of polling the database.
+//
+// The bus is in-process by default. With several backend instances, an
+// adapter relays messages between them (PROGRESS_BUS_ADAPTER):
+//   memory    this process only (default)
+//   postgres  Postgres LISTEN/NOTIFY on PROGRESS_BUS_DATABASE_URL
+//             (or DATABASE_URL), e.g. the Supabase connection string
+
+const CHANNEL = "devpulse_progress";
+// NOTIFY payloads are capped at 8000 bytes
+const MAX_NOTIFY_BYTES = 7900;
+const RECONNECT_DELAY_MS = 5000;
+
+const instanceId = crypto.randomUUID();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let adapter = null;
+
+function keyFor(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function deliver({ kind, id, payload }) {
+  emitter.emit(keyFor(kind, id), payload);
+  emitter.emit("*", { kind, id, payload });
+}
+
+// =============================
+// ADAPTERS
+// =============================
+
+// Adapters relay messages to the other instances. They never call back with
+// messages this instance published: those are delivered locally already.
+const ADAPTERS = {
+  memory: () => ({
+    start: async () => {},
+    publish: async () => {},
+    stop: async () => {},
+  }),
+
+  postgres: () => {
+    const connectionString =
+      process.env.PROGRESS_BUS_DATABASE_URL || process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error(
+        "PROGRESS_BUS_ADAPTER=postgres needs PROGRESS_BUS_DATABASE_URL or DATABASE_URL"
+      );
+    }
+
+    const { Client } = require("pg");
+    let client = null;
+    let stopped = false;
+    let reconnectTimer = null;
+
+    const scheduleReconnect = (onMessage) => {
+      if (stopped) return;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(
+        () => connect(onMessage).catch(() => {}),
+        RECONNECT_DELAY_MS
+      );
+    };
+
+    const connect = async (onMessage) => {
+      const next = new Client({ connectionString });
+
+      next.on("notification", ({ channel, payload }) => {
+        if (channel !== CHANNEL) return;
+        try {
+          const message = JSON.parse(payload);
+          if (message.origin !== instanceId) onMessage(message);
+        } catch (error) {
+          console.error(`⚠️ Bad progress notification: ${error.message}`);
+        }
+      });
+
+      // A dropped LISTEN connection is re-established in the background
+      next.on("error", (error) => {
+        console.error(`⚠️ Progress bus connection lost: ${error.message}`);
+        next.end().catch(() => {});
+        if (client === next) client = null;
+        scheduleReconnect(onMessage);
+      });
+
+      try {
+        await next.connect();
+        await next.query(`LISTEN ${CHANNEL}`);
+      } catch (error) {
+        next.end().catch(() => {});
+        scheduleReconnect(onMessage);
+        throw error;
+      }
+
+      client = next;
+    };
+
+    return {
+      start: connect,
+      publish: async (message) => {
+        if (!client) return;
+        const payload = JSON.stringify(message);
+        if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+          console.error(
+            `⚠️ Progress event for ${message.kind} ${message.id} is too large to relay`
+          );
+          return;
+        }
+        await client.query("SELECT pg_notify($1, $2)", [CHANNEL, payload]);
+      },
+      stop: async () => {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        if (client) await client.end();
+      },
+    };
+  },
+};
+
+// Connects the configured adapter. Safe to call more than once.
+async function startProgressBus() {
+  if (adapter) return;
+
+  const name = process.env.PROGRESS_BUS_ADAPTER || "memory";
+  const create = ADAPTERS[name];
+  if (!create) {
+    throw new Error(`Unknown PROGRESS_BUS_ADAPTER: ${name}`);
+  }
+
+  adapter = create();
+  await adapter.start(deliver);
+
+  if (name !== "memory") {
+    console.log(`📡 Progress bus relaying through ${name}`);
+  }
+}
+
+async function stopProgressBus() {
+  if (!adapter) return;
+  await adapter.stop();
+  adapter = null;
+}
+
+// =============================
+// PUBLISH / SUBSCRIBE
+// =============================
+
+// Delivers locally right away; relaying to other instances is best-effort
+function publish(kind, id, payload = {}) {
+  const message = { kind, id, payload };
+  deliver(message);
+
+  if (adapter) {
+    adapter.publish({ ...message, origin: instanceId }).catch((error) => {
+      console.error(`⚠️ Progress relay failed: ${error.message}`);
+    });
+  }
+}
+
+// Calls `listener(payload)` for every event of one job; returns an
+// unsubscribe function
+function subscribe(kind, id, listener) {
+  const key = keyFor(kind, id);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+// Calls `listener({ kind, id, payload })` for every event of every job
+function subscribeAll(listener) {
+  emitter.on("*", listener);
+  return () => emitter.off("*", listener);
+}
+
+module.exports = {
+  startProgressBus,
+  stopProgressBus,
+  publish,
+  subscribe,
+  subscribeAll,
+};
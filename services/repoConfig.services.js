@@ -0,0 +1,212 @@
+const fs = require("fs").promises;
+const path = require("path");
+const YAML = require("yaml");
+const { SEVERITIES, validateAnalysis } = require("./analysisSchema.services");
+const { normalizePath, globToRegExp } = require("./findings.services");
+
+// Per-repository settings read from `.devpulse.yml` at the repository root.
+// Every key is optional; the effective config (defaults merged with the
+// file) is recorded on the job so results can be reproduced.
+//
+//   ignore: ["docs/**", "**/*.min.js"]   # skipped by analysis and findings
+//   thresholds:
+//     security: high                     # lowest severity the fixer picks up
+//     bugs: critical
+//   fix:
+//     neverTouch: ["migrations/**"]      # files the fixer must not modify
+//     baseBranch: develop                # PR target
+//     policy:                            # guardrails on the fix diff,
+//       maxFiles: 5                      # see fixPolicy.services.js
+//   verify:
+//     commands: ["npm run check"]        # replaces detected test/lint steps
+//   instructions: "Prefer async/await."  # appended to the agent prompts
+
+const CONFIG_FILES = [".devpulse.yml", ".devpulse.yaml"];
+const MAX_CONFIG_BYTES = 64 * 1024;
+
+const DEFAULT_REPO_CONFIG = {
+  ignore: [],
+  thresholds: { security: "high", bugs: "high" },
+  fix: { neverTouch: [], baseBranch: null, policy: {} },
+  verify: { commands: [] },
+  instructions: "",
+};
+
+const globList = {
+  type: "array",
+  maxItems: 100,
+  items: { type: "string", minLength: 1 },
+};
+
+// Every key is optional: a policy only overrides the keys it sets
+const FIX_POLICY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    forbiddenPaths: globList,
+    maxFiles: { type: "integer", minimum: 1 },
+    maxLines: { type: "integer", minimum: 1 },
+    allowBinary: { type: "boolean" },
+    allowDeletions: { type: "boolean" },
+    onViolation: { type: "string", enum: ["revert", "fail"] },
+    verification: { type: "string", enum: ["block", "flag", "off"] },
+  },
+};
+
+const REPO_CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    ignore: globList,
+    thresholds: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        security: { type: "string", enum: SEVERITIES },
+        bugs: { type: "string", enum: SEVERITIES },
+      },
+    },
+    fix: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        neverTouch: globList,
+        baseBranch: { type: "string", minLength: 1 },
+        policy: FIX_POLICY_SCHEMA,
+      },
+    },
+    verify: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        commands: {
+          type: "array",
+          maxItems: 10,
+          items: { type: "string", minLength: 1, maxLength: 500 },
+        },
+      },
+    },
+    instructions: { type: "string", maxLength: 2000 },
+  },
+};
+
+// =============================
+// LOADING
+// =============================
+
+// Returns { source, config }. A missing file yields the defaults; an
+// unreadable or invalid file throws, so a job never runs on a config the
+// repository did not ask for.
+async function loadRepoConfig(repoPath) {
+  for (const name of CONFIG_FILES) {
+    let raw;
+    try {
+      const stats = await fs.stat(path.join(repoPath, name));
+      if (!stats.isFile()) continue;
+      if (stats.size > MAX_CONFIG_BYTES) {
+        throw new Error(`${name} is larger than ${MAX_CONFIG_BYTES} bytes`);
+      }
+      raw = await fs.readFile(path.join(repoPath, name), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") continue;
+      throw error;
+    }
+
+    return { source: name, config: parseRepoConfig(raw, name) };
+  }
+
+  return { source: null, config: DEFAULT_REPO_CONFIG };
+}
+
+function parseRepoConfig(raw, name = CONFIG_FILES[0]) {
+  let parsed;
+  try {
+    parsed = YAML.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+
+  // An empty file is a valid, empty config
+  if (parsed === null || parsed === undefined) parsed = {};
+
+  const { valid, errors, value } = validateAnalysis(parsed, REPO_CONFIG_SCHEMA);
+  if (!valid) {
+    throw new Error(`Invalid ${name}: ${errors.join("; ")}`);
+  }
+  parsed = value;
+
+  return {
+    ignore: parsed.ignore || DEFAULT_REPO_CONFIG.ignore,
+    thresholds: {
+      ...DEFAULT_REPO_CONFIG.thresholds,
+      ...(parsed.thresholds || {}),
+    },
+    fix: { ...DEFAULT_REPO_CONFIG.fix, ...(parsed.fix || {}) },
+    verify: { ...DEFAULT_REPO_CONFIG.verify, ...(parsed.verify || {}) },
+    instructions: (parsed.instructions || "").trim(),
+  };
+}
+
+// =============================
+// APPLYING
+// =============================
+
+function matchesAny(globs, file) {
+  const target = normalizePath(file);
+  return globs.some((glob) => {
+    const regex = globToRegExp(glob);
+    return regex.test(target) || regex.test(`${target}/`);
+  });
+}
+
+// True when `severity` is at or above `threshold`
+function meetsThreshold(severity, threshold) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank !== -1 && rank <= SEVERITIES.indexOf(threshold);
+}
+
+// Drops bugs and security findings in ignored paths
+function filterIgnoredFindings(aiAnalysis, ignore) {
+  if (!aiAnalysis || ignore.length === 0) return aiAnalysis;
+
+  const ai = { ...aiAnalysis };
+  ["bugs", "security"].forEach((section) => {
+    if (Array.isArray(ai[section])) {
+      ai[section] = ai[section].filter(
+        (finding) => !finding.file || !matchesAny(ignore, finding.file)
+      );
+    }
+  });
+  return ai;
+}
+
+// Prompt lines describing the config to the agent
+function promptSection(config, { forFix = false } = {}) {
+  const lines = [];
+
+  if (config.ignore.length > 0) {
+    lines.push(`Ignore these paths: ${config.ignore.join(", ")}`);
+  }
+  if (forFix && config.fix.neverTouch.length > 0) {
+    lines.push(
+      `NEVER modify files matching: ${config.fix.neverTouch.join(", ")}`
+    );
+  }
+  if (config.instructions) {
+    lines.push(`Repository instructions:\n${config.instructions}`);
+  }
+
+  return lines.length > 0 ? `\n\n${lines.join("\n")}` : "";
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_REPO_CONFIG,
+  FIX_POLICY_SCHEMA,
+  loadRepoConfig,
+  parseRepoConfig,
+  matchesAny,
+  meetsThreshold,
+  filterIgnoredFindings,
+  promptSection,
+};
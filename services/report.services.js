@@ -0,0 +1,481 @@
+const { SEVERITIES } = require("./analysisSchema.services");
+const { collectFindings } = require("./findings.services");
+const { getProfile } = require("./analysisProfiles.services");
+
+// Human-readable exports of one completed analysis: Markdown, a single
+// self-contained HTML file (inline styles, no external assets) and CSV with
+// one row per finding. All three render the same report model.
+
+const CATEGORY_LABELS = { bug: "Bug", security: "Security" };
+
+// =============================
+// MODEL
+// =============================
+
+function buildReport(analysis, fixJobs = []) {
+  const ai = analysis.ai_analysis || {};
+  const structure = analysis.structure || {};
+  const quality = analysis.code_quality || {};
+  const profile = getProfile(analysis.profile || undefined);
+  const findings = collectFindings(ai);
+  const active = findings.filter((f) => !f.suppressed);
+
+  return {
+    analysisId: analysis.analysis_id,
+    repo: `${analysis.repo_owner}/${analysis.repo_name}`,
+    repoUrl: analysis.repo_url || null,
+    ref: analysis.ref || null,
+    commitSha: analysis.commit_sha || null,
+    profile: profile ? profile.label : analysis.profile,
+    profileVersion: analysis.profile_version || null,
+    completedAt: analysis.completed_at || null,
+    score: {
+      score: quality.score ?? null,
+      grade: quality.grade ?? null,
+      model: quality.model || null,
+      categories: Object.entries(quality.categories || {})
+        .filter(([, category]) => category)
+        .map(([name, category]) => ({
+          name,
+          score: category.score,
+          weight: category.weight,
+          deductions: category.deductions || [],
+        })),
+    },
+    structure: {
+      totalFiles: structure.totalFiles ?? null,
+      sourceFiles: structure.sourceFiles ?? null,
+      totalLines: structure.totalLines ?? null,
+      primaryLanguage: structure.primaryLanguage || null,
+      languages: (structure.languages || []).slice(0, 8),
+      testFiles: structure.testFiles?.count ?? null,
+      frameworks: structure.frameworks || [],
+      buildSystems: structure.buildSystems || [],
+    },
+    architecture: {
+      pattern: ai.architecture?.pattern || null,
+      strengths: ai.architecture?.strengths || [],
+      weaknesses: ai.architecture?.weaknesses || [],
+    },
+    findingsBySeverity: SEVERITIES.map((severity) => ({
+      severity,
+      findings: active.filter((f) => f.severity === severity),
+    })).filter((group) => group.findings.length > 0),
+    findings,
+    suppressedCount: findings.length - active.length,
+    recommendations: Array.isArray(ai.recommendations)
+      ? ai.recommendations
+      : [],
+    fixPullRequests: fixJobs
+      .filter((job) => job.pr_url)
+      .map((job) => ({
+        jobId: job.job_id,
+        number: job.pr_number || null,
+        url: job.pr_url,
+        status: job.status,
+        createdAt: job.created_at || null,
+      })),
+  };
+}
+
+function findingTitle(finding) {
+  return finding.category === "security"
+    ? finding.type || "Security issue"
+    : finding.description || "Bug";
+}
+
+function findingLocation(finding) {
+  if (!finding.file) return null;
+  return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// =============================
+// MARKDOWN
+// =============================
+
+// Keeps AI-written text from breaking tables or injecting markup
+function mdText(text) {
+  return String(text ?? "")
+    .replace(/\r?\n/g, " ")
+    .replace(/([\\`*_[\]|<>])/g, "\\$1");
+}
+
+function renderMarkdown(analysis, fixJobs) {
+  const report = buildReport(analysis, fixJobs);
+  const lines = [];
+
+  lines.push(`# DevPulse report: ${mdText(report.repo)}`, "");
+  if (report.repoUrl) lines.push(`- **Repository:** ${report.repoUrl}`);
+  lines.push(
+    `- **Commit:** ${report.commitSha ? `\`${report.commitSha}\`` : "unknown"}${
+      report.ref ? ` (${mdText(report.ref)})` : ""
+    }`,
+    `- **Profile:** ${mdText(report.profile)}${
+      report.profileVersion ? ` v${report.profileVersion}` : ""
+    }`,
+    `- **Completed:** ${report.completedAt || "unknown"}`,
+    `- **Analysis:** ${report.analysisId}`,
+    ""
+  );
+
+  lines.push("## Score", "");
+  lines.push(
+    report.score.score === null
+      ? "Not scored."
+      : `**${report.score.score} / 100** (grade ${report.score.grade})`,
+    ""
+  );
+  if (report.score.categories.length > 0) {
+    lines.push("| Category | Score | Weight | Deductions |");
+    lines.push("| --- | ---: | ---: | ---: |");
+    report.score.categories.forEach((c) => {
+      lines.push(
+        `| ${capitalize(c.name)} | ${c.score} | ${c.weight} | ${
+          c.deductions.length
+        } |`
+      );
+    });
+    lines.push("");
+  }
+
+  const s = report.structure;
+  lines.push("## Structure", "");
+  lines.push(
+    `- **Files:** ${s.totalFiles ?? "?"} (${s.sourceFiles ?? "?"} source, ${
+      s.testFiles ?? "?"
+    } test)`,
+    `- **Lines:** ${s.totalLines ?? "?"}`,
+    `- **Primary language:** ${s.primaryLanguage || "unknown"}`
+  );
+  if (s.languages.length > 0) {
+    lines.push(
+      `- **Languages:** ${s.languages
+        .map((l) => `${l.language} ${l.percentage}%`)
+        .join(", ")}`
+    );
+  }
+  if (s.frameworks.length > 0) {
+    lines.push(`- **Frameworks:** ${s.frameworks.join(", ")}`);
+  }
+  if (s.buildSystems.length > 0) {
+    lines.push(`- **Build systems:** ${s.buildSystems.join(", ")}`);
+  }
+  lines.push("");
+
+  const arch = report.architecture;
+  if (arch.pattern || arch.strengths.length || arch.weaknesses.length) {
+    lines.push("## Architecture", "");
+    if (arch.pattern) lines.push(`**Pattern:** ${mdText(arch.pattern)}`, "");
+    if (arch.strengths.length > 0) {
+      lines.push("### Strengths", "");
+      arch.strengths.forEach((item) => lines.push(`- ${mdText(item)}`));
+      lines.push("");
+    }
+    if (arch.weaknesses.length > 0) {
+      lines.push("### Weaknesses", "");
+      arch.weaknesses.forEach((item) => lines.push(`- ${mdText(item)}`));
+      lines.push("");
+    }
+  }
+
+  lines.push("## Findings", "");
+  if (report.findingsBySeverity.length === 0) {
+    lines.push("No bugs or security findings.", "");
+  }
+  report.findingsBySeverity.forEach((group) => {
+    lines.push(
+      `### ${capitalize(group.severity)} (${group.findings.length})`,
+      ""
+    );
+    group.findings.forEach((f) => {
+      const location = findingLocation(f);
+      const details =
+        f.category === "security" && f.description
+          ? ` — ${mdText(f.description)}`
+          : "";
+      lines.push(
+        `- **[${CATEGORY_LABELS[f.category]}] ${mdText(findingTitle(f))}**${
+          location ? ` — \`${location.replace(/`/g, "")}\`` : ""
+        }${details}`
+      );
+    });
+    lines.push("");
+  });
+  if (report.suppressedCount > 0) {
+    lines.push(`_${report.suppressedCount} suppressed finding(s) not shown._`);
+    lines.push("");
+  }
+
+  if (report.recommendations.length > 0) {
+    lines.push("## Recommendations", "");
+    report.recommendations.forEach((rec) => {
+      lines.push(
+        `- **${mdText(rec.title)}** (${rec.priority}) — ${mdText(
+          rec.description
+        )}`
+      );
+    });
+    lines.push("");
+  }
+
+  if (report.fixPullRequests.length > 0) {
+    lines.push("## Fix pull requests", "");
+    report.fixPullRequests.forEach((pr) => {
+      lines.push(
+        `- [${pr.number ? `#${pr.number}` : pr.url}](${pr.url}) — ${pr.status}`
+      );
+    });
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// =============================
+// HTML
+// =============================
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only http(s) links are rendered as links
+function safeUrl(url) {
+  return /^https?:\/\//i.test(String(url || "")) ? escapeHtml(url) : null;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: .2rem; }
+table { border-collapse: collapse; margin: .5rem 0; }
+th, td { border: 1px solid #d0d7de; padding: .3rem .7rem; text-align: left; }
+code { background: #f6f8fa; padding: .1rem .3rem; border-radius: 4px; }
+.score { font-size: 2rem; font-weight: 600; }
+.badge { display: inline-block; padding: 0 .5rem; border-radius: 1rem; color: #fff; font-size: .8rem; }
+.critical { background: #8b0000; } .high { background: #cf222e; } .medium { background: #bf8700; } .low { background: #0969da; } .info { background: #6e7781; }
+.muted { color: #656d76; }
+`;
+
+function htmlList(items) {
+  return `<ul>${items.map((i) => `<li>${escapeHtml(i)}</li>`).join("")}</ul>`;
+}
+
+function renderHtml(analysis, fixJobs) {
+  const report = buildReport(analysis, fixJobs);
+  const s = report.structure;
+  const arch = report.architecture;
+  const parts = [];
+  const repoLink = safeUrl(report.repoUrl);
+
+  parts.push(`<h1>DevPulse report: ${escapeHtml(report.repo)}</h1>`);
+  parts.push(`<p class="muted">
+${repoLink ? `<a href="${repoLink}">${repoLink}</a><br>` : ""}
+Commit <code>${escapeHtml(report.commitSha || "unknown")}</code>${
+    report.ref ? ` (${escapeHtml(report.ref)})` : ""
+  }<br>
+Profile ${escapeHtml(report.profile)}${
+    report.profileVersion ? ` v${report.profileVersion}` : ""
+  } · Completed ${escapeHtml(report.completedAt || "unknown")} · ${escapeHtml(
+    report.analysisId
+  )}
+</p>`);
+
+  parts.push("<h2>Score</h2>");
+  parts.push(
+    report.score.score === null
+      ? "<p>Not scored.</p>"
+      : `<p class="score">${
+          report.score.score
+        } / 100 <span class="muted">(grade ${escapeHtml(
+          report.score.grade
+        )})</span></p>`
+  );
+  if (report.score.categories.length > 0) {
+    parts.push(
+      `<table><tr><th>Category</th><th>Score</th><th>Weight</th><th>Deductions</th></tr>${report.score.categories
+        .map(
+          (c) =>
+            `<tr><td>${escapeHtml(capitalize(c.name))}</td><td>${
+              c.score
+            }</td><td>${c.weight}</td><td>${c.deductions.length}</td></tr>`
+        )
+        .join("")}</table>`
+    );
+  }
+
+  parts.push("<h2>Structure</h2>");
+  parts.push(
+    `<table>
+<tr><th>Files</th><td>${s.totalFiles ?? "?"} (${s.sourceFiles ?? "?"} source, ${
+      s.testFiles ?? "?"
+    } test)</td></tr>
+<tr><th>Lines</th><td>${s.totalLines ?? "?"}</td></tr>
+<tr><th>Primary language</th><td>${escapeHtml(
+      s.primaryLanguage || "unknown"
+    )}</td></tr>
+<tr><th>Languages</th><td>${escapeHtml(
+      s.languages.map((l) => `${l.language} ${l.percentage}%`).join(", ") || "—"
+    )}</td></tr>
+<tr><th>Frameworks</th><td>${escapeHtml(
+      s.frameworks.join(", ") || "—"
+    )}</td></tr>
+<tr><th>Build systems</th><td>${escapeHtml(
+      s.buildSystems.join(", ") || "—"
+    )}</td></tr>
+</table>`
+  );
+
+  if (arch.pattern || arch.strengths.length || arch.weaknesses.length) {
+    parts.push("<h2>Architecture</h2>");
+    if (arch.pattern) {
+      parts.push(
+        `<p><strong>Pattern:</strong> ${escapeHtml(arch.pattern)}</p>`
+      );
+    }
+    if (arch.strengths.length > 0) {
+      parts.push(`<h3>Strengths</h3>${htmlList(arch.strengths)}`);
+    }
+    if (arch.weaknesses.length > 0) {
+      parts.push(`<h3>Weaknesses</h3>${htmlList(arch.weaknesses)}`);
+    }
+  }
+
+  parts.push("<h2>Findings</h2>");
+  if (report.findingsBySeverity.length === 0) {
+    parts.push("<p>No bugs or security findings.</p>");
+  }
+  report.findingsBySeverity.forEach((group) => {
+    parts.push(
+      `<h3><span class="badge ${group.severity}">${group.severity}</span> ${group.findings.length}</h3>`
+    );
+    parts.push(
+      `<ul>${group.findings
+        .map((f) => {
+          const location = findingLocation(f);
+          return `<li><strong>[${CATEGORY_LABELS[f.category]}] ${escapeHtml(
+            findingTitle(f)
+          )}</strong>${
+            location ? ` <code>${escapeHtml(location)}</code>` : ""
+          }${
+            f.category === "security" && f.description
+              ? `<br>${escapeHtml(f.description)}`
+              : ""
+          }</li>`;
+        })
+        .join("")}</ul>`
+    );
+  });
+  if (report.suppressedCount > 0) {
+    parts.push(
+      `<p class="muted">${report.suppressedCount} suppressed finding(s) not shown.</p>`
+    );
+  }
+
+  if (report.recommendations.length > 0) {
+    parts.push("<h2>Recommendations</h2>");
+    parts.push(
+      `<ul>${report.recommendations
+        .map(
+          (rec) =>
+            `<li><strong>${escapeHtml(
+              rec.title
+            )}</strong> <span class="muted">(${escapeHtml(
+              rec.priority
+            )})</span><br>${escapeHtml(rec.description)}</li>`
+        )
+        .join("")}</ul>`
+    );
+  }
+
+  if (report.fixPullRequests.length > 0) {
+    parts.push("<h2>Fix pull requests</h2>");
+    parts.push(
+      `<ul>${report.fixPullRequests
+        .map((pr) => {
+          const url = safeUrl(pr.url);
+          const label = escapeHtml(pr.number ? `#${pr.number}` : pr.url);
+          return `<li>${
+            url ? `<a href="${url}">${label}</a>` : label
+          } — ${escapeHtml(pr.status)}</li>`;
+        })
+        .join("")}</ul>`
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DevPulse report: ${escapeHtml(report.repo)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${parts.join("\n")}
+</body>
+</html>
+`;
+}
+
+// =============================
+// CSV
+// =============================
+
+const CSV_COLUMNS = [
+  "analysis_id",
+  "repo",
+  "commit_sha",
+  "category",
+  "severity",
+  "type",
+  "file",
+  "line",
+  "description",
+  "suppressed",
+  "fingerprint",
+];
+
+// RFC 4180 quoting; a leading quote stops spreadsheets running formulas
+function csvCell(value) {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(analysis) {
+  const report = buildReport(analysis);
+  const rows = report.findings.map((f) => [
+    report.analysisId,
+    report.repo,
+    report.commitSha,
+    f.category,
+    f.severity,
+    f.type,
+    f.file,
+    f.line,
+    f.description,
+    f.suppressed,
+    f.fingerprint,
+  ]);
+
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+module.exports = {
+  buildReport,
+  renderMarkdown,
+  renderHtml,
+  renderCsv,
+};
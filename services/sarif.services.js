@@ -0,0 +1,202 @@
+const { SEVERITIES } = require("./analysisSchema.services");
+const { collectFindings } = require("./findings.services");
+const { version, homepage } = require("../package.json");
+
+// Renders the bugs and security findings of an analysis as a SARIF 2.1.0
+// log (https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html).
+// Suppressed findings are included with an external suppression, so
+// consumers see them as dismissed rather than fixed.
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const SRCROOT = "SRCROOT";
+
+const LEVELS = {
+  critical: "error",
+  high: "error",
+  medium: "warning",
+  low: "note",
+  info: "note",
+};
+
+// GitHub code scanning ranks security results by this 0-10 score
+const SECURITY_SEVERITY = {
+  critical: "9.5",
+  high: "8.0",
+  medium: "5.5",
+  low: "3.0",
+  info: "0.0",
+};
+
+// =============================
+// HELPERS
+// =============================
+
+function slug(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 60) || "other"
+  );
+}
+
+// Repo-relative, forward-slashed and percent-encoded
+function artifactUri(file) {
+  return String(file)
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/^\.\//, "")
+    .replace(/^\/+/, "")
+    .replace(/:\d+(:\d+)?$/, "")
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/");
+}
+
+function ruleFor(finding) {
+  if (finding.category === "security") {
+    return {
+      id: `devpulse/security/${slug(finding.type)}`,
+      name: finding.type || "Security issue",
+      tags: ["security"],
+    };
+  }
+  return { id: "devpulse/bug", name: "Bug", tags: ["correctness"] };
+}
+
+// The more severe of two severities; unknown ones rank lowest
+function maxSeverity(a, b) {
+  const rank = (severity) =>
+    SEVERITIES.includes(severity) ? SEVERITIES.indexOf(severity) : Infinity;
+  return rank(b) < rank(a) ? b : a;
+}
+
+// =============================
+// LOG
+// =============================
+
+function buildSarifLog(analysis) {
+  const findings = collectFindings(analysis.ai_analysis);
+  const rules = [];
+  const ruleIndex = new Map();
+
+  // A rule's defaults follow its most severe finding; each result still
+  // carries its own level
+  findings.forEach((finding) => {
+    const rule = ruleFor(finding);
+
+    if (ruleIndex.has(rule.id)) {
+      const existing = rules[ruleIndex.get(rule.id)];
+      existing.severity = maxSeverity(existing.severity, finding.severity);
+      return;
+    }
+
+    const cwe =
+      finding.cwe && /^CWE-\d+$/i.test(finding.cwe) ? finding.cwe : null;
+    ruleIndex.set(rule.id, rules.length);
+    rules.push({
+      ...rule,
+      tags: cwe
+        ? [...rule.tags, `external/cwe/${cwe.toLowerCase()}`]
+        : rule.tags,
+      severity: finding.severity,
+      security: finding.category === "security",
+    });
+  });
+
+  const results = findings.map((finding) => {
+    const rule = ruleFor(finding);
+
+    const result = {
+      ruleId: rule.id,
+      ruleIndex: ruleIndex.get(rule.id),
+      level: LEVELS[finding.severity] || "warning",
+      message: {
+        text:
+          [finding.type, finding.description].filter(Boolean).join(": ") ||
+          rule.name,
+      },
+      locations: finding.file
+        ? [
+            {
+              physicalLocation: {
+                artifactLocation: {
+                  uri: artifactUri(finding.file),
+                  uriBaseId: SRCROOT,
+                },
+                ...(Number.isInteger(finding.line) &&
+                  finding.line > 0 && {
+                    region: { startLine: finding.line },
+                  }),
+              },
+            },
+          ]
+        : [],
+      partialFingerprints: {
+        "devpulseFinding/v1": finding.fingerprint,
+      },
+      properties: { severity: finding.severity },
+    };
+
+    if (finding.suppressed) {
+      result.suppressions = [
+        {
+          kind: "external",
+          status: "accepted",
+          justification: finding.suppressionReason || "Suppressed in DevPulse",
+        },
+      ];
+    }
+
+    return result;
+  });
+
+  const run = {
+    tool: {
+      driver: {
+        name: "DevPulse",
+        ...(homepage && { informationUri: homepage }),
+        semanticVersion: version,
+        rules: rules.map((rule) => ({
+          id: rule.id,
+          name: rule.name,
+          shortDescription: { text: rule.name },
+          defaultConfiguration: { level: LEVELS[rule.severity] || "warning" },
+          properties: {
+            tags: rule.tags,
+            ...(rule.security && {
+              "security-severity": SECURITY_SEVERITY[rule.severity] || "5.5",
+            }),
+          },
+        })),
+      },
+    },
+    automationDetails: {
+      id: `devpulse/${analysis.profile || "standard"}/${analysis.analysis_id}`,
+    },
+    originalUriBaseIds: {
+      [SRCROOT]: { description: { text: "Repository root" } },
+    },
+    results,
+    properties: {
+      score: analysis.code_quality?.score ?? null,
+      grade: analysis.code_quality?.grade ?? null,
+      profile: analysis.profile || "standard",
+      profileVersion: analysis.profile_version || null,
+    },
+  };
+
+  if (analysis.repo_url) {
+    run.versionControlProvenance = [
+      {
+        repositoryUri: analysis.repo_url,
+        ...(analysis.commit_sha && { revisionId: analysis.commit_sha }),
+      },
+    ];
+  }
+
+  return { $schema: SARIF_SCHEMA, version: "2.1.0", runs: [run] };
+}
+
+module.exports = { buildSarifLog };
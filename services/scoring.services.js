@@ -0,0 +1,286 @@
+const crypto = require("crypto");
+
+// Scores are computed only from findings and the structure report, so the
+// same findings always produce the same score. The AI's own score is kept
+// for reference but never used.
+
+const SCORING_MODEL = "devpulse-score-v1";
+
+const DEFAULT_SCORING_CONFIG = {
+  weights: {
+    security: 0.3,
+    bugs: 0.25,
+    maintainability: 0.2,
+    structure: 0.1,
+    tests: 0.15,
+  },
+  penalties: {
+    security: { critical: 25, high: 15, medium: 7, low: 3, info: 0 },
+    bugs: { critical: 20, high: 10, medium: 5, low: 2, info: 0 },
+    recommendations: { critical: 6, high: 4, medium: 2, low: 1 },
+    qualityIssue: 3,
+    architectureWeakness: 4,
+    oversizedFile: 5,
+    binaryFile: 1,
+  },
+  limits: {
+    oversizedFileLines: 1000,
+    maxStructureDeduction: 40,
+    minTestRatio: 0.1,
+    targetTestRatio: 0.25,
+  },
+};
+
+// =============================
+// CONFIG
+// =============================
+
+function mergeConfig(base, override) {
+  if (!override || typeof override !== "object") return base;
+
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] =
+      value && typeof value === "object" && !Array.isArray(value)
+        ? mergeConfig(base[key] || {}, value)
+        : value;
+  });
+  return merged;
+}
+
+// SCORING_CONFIG env var holds a JSON override of DEFAULT_SCORING_CONFIG
+function getScoringConfig(override) {
+  let envConfig = null;
+
+  if (process.env.SCORING_CONFIG) {
+    try {
+      envConfig = JSON.parse(process.env.SCORING_CONFIG);
+    } catch (error) {
+      console.error("⚠️ Ignoring invalid SCORING_CONFIG:", error.message);
+    }
+  }
+
+  return mergeConfig(mergeConfig(DEFAULT_SCORING_CONFIG, envConfig), override);
+}
+
+function hashConfig(config) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(config))
+    .digest("hex")
+    .substring(0, 12);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// =============================
+// CATEGORY SCORES
+// =============================
+
+function category(deductions) {
+  const total = deductions.reduce((sum, d) => sum + d.points, 0);
+  return {
+    score: Math.max(0, Math.round((100 - total) * 10) / 10),
+    deductions,
+  };
+}
+
+function findingDeductions(findings, penalties, label) {
+  return findings
+    .map((finding) => ({
+      reason: `${finding.severity} ${label}: ${
+        finding.type || finding.description || "finding"
+      }`,
+      file: finding.file || null,
+      severity: finding.severity,
+      points: penalties[finding.severity] || 0,
+    }))
+    .filter((d) => d.points > 0);
+}
+
+function scoreSecurity(aiAnalysis, config) {
+  return category(
+    findingDeductions(
+      aiAnalysis.security,
+      config.penalties.security,
+      "security finding"
+    )
+  );
+}
+
+function scoreBugs(aiAnalysis, config) {
+  return category(
+    findingDeductions(aiAnalysis.bugs, config.penalties.bugs, "bug")
+  );
+}
+
+function scoreMaintainability(aiAnalysis, config) {
+  const { penalties } = config;
+  const deductions = [];
+
+  (aiAnalysis.codeQuality?.issues || []).forEach((issue) => {
+    deductions.push({
+      reason: `Code quality issue: ${issue}`,
+      points: penalties.qualityIssue,
+    });
+  });
+
+  (aiAnalysis.architecture?.weaknesses || []).forEach((weakness) => {
+    deductions.push({
+      reason: `Architecture weakness: ${weakness}`,
+      points: penalties.architectureWeakness,
+    });
+  });
+
+  (aiAnalysis.recommendations || []).forEach((rec) => {
+    const points = penalties.recommendations[rec.priority] || 0;
+    if (points > 0) {
+      deductions.push({
+        reason: `${rec.priority} priority recommendation: ${rec.title}`,
+        points,
+      });
+    }
+  });
+
+  return category(deductions);
+}
+
+function scoreStructure(structure, config) {
+  const { penalties, limits } = config;
+  const deductions = [];
+
+  if (!structure || !structure.totalFiles) {
+    return category([{ reason: "Repository has no files", points: 100 }]);
+  }
+
+  (structure.largestFiles || [])
+    .filter(
+      (f) => !f.vendored && f.lines && f.lines > limits.oversizedFileLines
+    )
+    .forEach((f) => {
+      deductions.push({
+        reason: `Oversized file (${f.lines} lines)`,
+        file: f.path,
+        points: penalties.oversizedFile,
+      });
+    });
+
+  const binaryCount = structure.binaryFiles?.count || 0;
+  if (binaryCount > 0) {
+    deductions.push({
+      reason: `${binaryCount} binary file(s) committed`,
+      points: Math.min(10, binaryCount * penalties.binaryFile),
+    });
+  }
+
+  // Cap so structure alone cannot zero the category
+  let remaining = limits.maxStructureDeduction;
+  const capped = deductions.map((d) => {
+    const points = Math.min(d.points, remaining);
+    remaining -= points;
+    return { ...d, points };
+  });
+
+  return category(capped.filter((d) => d.points > 0));
+}
+
+function scoreTests(structure, config) {
+  const { limits } = config;
+  const testCount = structure?.testFiles?.count || 0;
+  const sourceCount = structure?.sourceFiles || 0;
+
+  if (sourceCount === 0) return category([]);
+
+  if (testCount === 0) {
+    return category([{ reason: "No test files found", points: 100 }]);
+  }
+
+  const ratio = testCount / sourceCount;
+  if (ratio < limits.minTestRatio) {
+    return category([
+      {
+        reason: `Low test coverage by file count (${testCount}/${sourceCount})`,
+        points: 40,
+      },
+    ]);
+  }
+  if (ratio < limits.targetTestRatio) {
+    return category([
+      {
+        reason: `Test files below target ratio (${testCount}/${sourceCount})`,
+        points: 20,
+      },
+    ]);
+  }
+
+  return category([]);
+}
+
+function gradeFor(score) {
+  return score >= 90 ? "A" : score >= 80 ? "B" : score >= 70 ? "C" : "D";
+}
+
+// =============================
+// ENTRY POINT
+// =============================
+
+// Returns { score, grade, categories, ... }. score/grade are null when the
+// AI output was partial: the AI-driven categories cannot be computed then.
+function scoreAnalysis(aiAnalysis, structure, override) {
+  const config = getScoringConfig(override);
+  const ai = aiAnalysis || {};
+  const hasFindings =
+    !ai.partial && Array.isArray(ai.bugs) && Array.isArray(ai.security);
+
+  const categories = {
+    security: hasFindings ? scoreSecurity(ai, config) : null,
+    bugs: hasFindings ? scoreBugs(ai, config) : null,
+    maintainability: hasFindings ? scoreMaintainability(ai, config) : null,
+    structure: scoreStructure(structure, config),
+    tests: scoreTests(structure, config),
+  };
+
+  Object.entries(categories).forEach(([name, result]) => {
+    if (result) result.weight = config.weights[name] || 0;
+  });
+
+  let score = null;
+  if (hasFindings) {
+    const totalWeight = Object.values(categories).reduce(
+      (sum, c) => sum + c.weight,
+      0
+    );
+    const weighted = Object.values(categories).reduce(
+      (sum, c) => sum + c.score * c.weight,
+      0
+    );
+    score = totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
+  }
+
+  return {
+    score,
+    grade: score === null ? null : gradeFor(score),
+    partial: score === null,
+    categories,
+    aiReportedScore:
+      typeof ai.codeQuality?.score === "number" ? ai.codeQuality.score : null,
+    model: SCORING_MODEL,
+    configHash: hashConfig(config),
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  SCORING_MODEL,
+  getScoringConfig,
+  scoreAnalysis,
+};
@@ -0,0 +1,485 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { matchesAny } = require("./repoConfig.services");
+
+const IGNORED_DIRS = ["node_modules", ".git", "dist", "build"];
+const MAX_COUNTED_BYTES = 5 * 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+const TOP_N = 10;
+
+const LANGUAGES = {
+  ".js": "JavaScript",
+  ".jsx": "JavaScript",
+  ".mjs": "JavaScript",
+  ".cjs": "JavaScript",
+  ".ts": "TypeScript",
+  ".tsx": "TypeScript",
+  ".py": "Python",
+  ".rb": "Ruby",
+  ".go": "Go",
+  ".rs": "Rust",
+  ".java": "Java",
+  ".kt": "Kotlin",
+  ".kts": "Kotlin",
+  ".scala": "Scala",
+  ".swift": "Swift",
+  ".m": "Objective-C",
+  ".c": "C",
+  ".h": "C",
+  ".cc": "C++",
+  ".cpp": "C++",
+  ".cxx": "C++",
+  ".hpp": "C++",
+  ".cs": "C#",
+  ".php": "PHP",
+  ".dart": "Dart",
+  ".ex": "Elixir",
+  ".exs": "Elixir",
+  ".erl": "Erlang",
+  ".hs": "Haskell",
+  ".lua": "Lua",
+  ".r": "R",
+  ".sh": "Shell",
+  ".bash": "Shell",
+  ".ps1": "PowerShell",
+  ".sql": "SQL",
+  ".html": "HTML",
+  ".htm": "HTML",
+  ".css": "CSS",
+  ".scss": "SCSS",
+  ".sass": "SCSS",
+  ".less": "Less",
+  ".vue": "Vue",
+  ".svelte": "Svelte",
+  ".json": "JSON",
+  ".yml": "YAML",
+  ".yaml": "YAML",
+  ".toml": "TOML",
+  ".xml": "XML",
+  ".md": "Markdown",
+  ".mdx": "Markdown",
+  ".graphql": "GraphQL",
+  ".proto": "Protocol Buffers",
+  ".tf": "HCL",
+};
+
+const SPECIAL_FILE_LANGUAGES = {
+  Dockerfile: "Dockerfile",
+  Makefile: "Makefile",
+  Rakefile: "Ruby",
+  Gemfile: "Ruby",
+};
+
+const BINARY_EXTENSIONS = new Set([
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".bmp",
+  ".ico",
+  ".webp",
+  ".pdf",
+  ".zip",
+  ".gz",
+  ".tar",
+  ".tgz",
+  ".7z",
+  ".rar",
+  ".jar",
+  ".war",
+  ".class",
+  ".exe",
+  ".dll",
+  ".so",
+  ".dylib",
+  ".o",
+  ".a",
+  ".wasm",
+  ".woff",
+  ".woff2",
+  ".ttf",
+  ".otf",
+  ".eot",
+  ".mp3",
+  ".mp4",
+  ".mov",
+  ".avi",
+  ".webm",
+  ".wav",
+  ".psd",
+  ".sqlite",
+  ".db",
+]);
+
+const VENDORED_PATTERNS = [
+  /(^|\/)vendor\//,
+  /(^|\/)vendors\//,
+  /(^|\/)third[_-]party\//,
+  /(^|\/)bower_components\//,
+  /(^|\/)Pods\//,
+  /(^|\/)\.yarn\//,
+  /(^|\/)jspm_packages\//,
+  /\.min\.(js|css)$/,
+  /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|Gemfile\.lock|poetry\.lock|composer\.lock|go\.sum)$/,
+];
+
+// Languages that hold data or docs rather than code
+const NON_CODE_LANGUAGES = new Set([
+  "JSON",
+  "YAML",
+  "TOML",
+  "XML",
+  "Markdown",
+  "Other",
+]);
+
+const TEST_PATTERNS = [
+  /(^|\/)(test|tests|__tests__|spec|specs)\//,
+  /\.(test|spec)\.[^/]+$/,
+  /(^|\/)test_[^/]+\.py$/,
+  /_test\.(go|py|rb)$/,
+  /(Test|Tests)\.(java|kt|cs)$/,
+];
+
+// Marker files -> build system / package manager
+const BUILD_SYSTEM_MARKERS = [
+  { file: "package-lock.json", name: "npm" },
+  { file: "yarn.lock", name: "Yarn" },
+  { file: "pnpm-lock.yaml", name: "pnpm" },
+  { file: "bun.lockb", name: "Bun" },
+  { file: "Makefile", name: "Make" },
+  { file: "CMakeLists.txt", name: "CMake" },
+  { file: "pom.xml", name: "Maven" },
+  { file: "build.gradle", name: "Gradle" },
+  { file: "build.gradle.kts", name: "Gradle" },
+  { file: "Cargo.toml", name: "Cargo" },
+  { file: "go.mod", name: "Go modules" },
+  { file: "pyproject.toml", name: "Python (pyproject)" },
+  { file: "setup.py", name: "setuptools" },
+  { file: "requirements.txt", name: "pip" },
+  { file: "Pipfile", name: "Pipenv" },
+  { file: "Gemfile", name: "Bundler" },
+  { file: "composer.json", name: "Composer" },
+  { file: "Dockerfile", name: "Docker" },
+  { file: "docker-compose.yml", name: "Docker Compose" },
+  { file: "tsconfig.json", name: "TypeScript" },
+  { file: "webpack.config.js", name: "webpack" },
+  { file: "vite.config.js", name: "Vite" },
+  { file: "vite.config.ts", name: "Vite" },
+  { file: "rollup.config.js", name: "Rollup" },
+  { file: "turbo.json", name: "Turborepo" },
+  { file: "nx.json", name: "Nx" },
+  { file: "lerna.json", name: "Lerna" },
+];
+
+// Dependency name -> framework, per manifest
+const JS_FRAMEWORKS = {
+  react: "React",
+  next: "Next.js",
+  vue: "Vue",
+  nuxt: "Nuxt",
+  "@angular/core": "Angular",
+  svelte: "Svelte",
+  "@sveltejs/kit": "SvelteKit",
+  express: "Express",
+  fastify: "Fastify",
+  koa: "Koa",
+  "@nestjs/core": "NestJS",
+  "@hapi/hapi": "hapi",
+  electron: "Electron",
+  "react-native": "React Native",
+  gatsby: "Gatsby",
+  "@remix-run/react": "Remix",
+  jest: "Jest",
+  vitest: "Vitest",
+  mocha: "Mocha",
+};
+
+const TEXT_MANIFEST_FRAMEWORKS = [
+  { file: "requirements.txt", pattern: /^django\b/im, name: "Django" },
+  { file: "requirements.txt", pattern: /^flask\b/im, name: "Flask" },
+  { file: "requirements.txt", pattern: /^fastapi\b/im, name: "FastAPI" },
+  { file: "requirements.txt", pattern: /^pytest\b/im, name: "pytest" },
+  { file: "pyproject.toml", pattern: /\bdjango\b/i, name: "Django" },
+  { file: "pyproject.toml", pattern: /\bflask\b/i, name: "Flask" },
+  { file: "pyproject.toml", pattern: /\bfastapi\b/i, name: "FastAPI" },
+  { file: "pyproject.toml", pattern: /\bpytest\b/i, name: "pytest" },
+  { file: "Gemfile", pattern: /gem ["']rails["']/, name: "Ruby on Rails" },
+  { file: "Gemfile", pattern: /gem ["']sinatra["']/, name: "Sinatra" },
+  { file: "pom.xml", pattern: /spring-boot/, name: "Spring Boot" },
+  { file: "build.gradle", pattern: /spring-boot/, name: "Spring Boot" },
+  { file: "go.mod", pattern: /gin-gonic\/gin/, name: "Gin" },
+  { file: "go.mod", pattern: /labstack\/echo/, name: "Echo" },
+  { file: "go.mod", pattern: /gofiber\/fiber/, name: "Fiber" },
+  { file: "composer.json", pattern: /laravel\/framework/, name: "Laravel" },
+  { file: "composer.json", pattern: /symfony\//, name: "Symfony" },
+  { file: "Cargo.toml", pattern: /^actix-web\b/m, name: "Actix Web" },
+  { file: "Cargo.toml", pattern: /^axum\b/m, name: "Axum" },
+  { file: "Cargo.toml", pattern: /^rocket\b/m, name: "Rocket" },
+];
+
+// =============================
+// FILE WALK
+// =============================
+
+// `ignoredPaths` are repo-relative globs, e.g. from .devpulse.yml
+async function getAllFiles(dir, ignoredDirs = IGNORED_DIRS, ignoredPaths = []) {
+  const files = [];
+  const isIgnored = (fullPath) =>
+    ignoredPaths.length > 0 &&
+    matchesAny(ignoredPaths, toRepoPath(dir, fullPath));
+
+  async function walk(currentPath) {
+    try {
+      const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const fullPath = path.join(currentPath, entry.name);
+
+        if (entry.isDirectory()) {
+          if (!ignoredDirs.includes(entry.name) && !isIgnored(fullPath)) {
+            await walk(fullPath);
+          }
+        } else if (entry.isFile() && !isIgnored(fullPath)) {
+          files.push(fullPath);
+        }
+      }
+    } catch (error) {}
+  }
+
+  await walk(dir);
+  return files;
+}
+
+// =============================
+// STRUCTURE REPORT
+// =============================
+
+async function analyzeStructure(repoPath, { ignore = [] } = {}) {
+  const files = await getAllFiles(repoPath, IGNORED_DIRS, ignore);
+
+  const languages = {};
+  const directories = {};
+  const extensions = {};
+  const fileStats = [];
+  const binaryFiles = [];
+  const vendoredFiles = [];
+  const testFiles = [];
+  let sourceFiles = 0;
+  let totalLines = 0;
+  let totalBytes = 0;
+
+  for (const fullPath of files) {
+    const relPath = toRepoPath(repoPath, fullPath);
+    const stats = await inspectFile(fullPath);
+    if (!stats) continue;
+
+    const ext = path.extname(relPath).toLowerCase() || "(none)";
+    const topDir = relPath.includes("/") ? relPath.split("/")[0] : ".";
+    const vendored = isVendored(relPath);
+
+    totalBytes += stats.bytes;
+    extensions[ext] = (extensions[ext] || 0) + 1;
+
+    directories[topDir] = directories[topDir] || {
+      path: topDir,
+      files: 0,
+      lines: 0,
+      bytes: 0,
+    };
+    directories[topDir].files++;
+    directories[topDir].bytes += stats.bytes;
+
+    if (stats.binary) binaryFiles.push(relPath);
+    if (vendored) vendoredFiles.push(relPath);
+
+    fileStats.push({
+      path: relPath,
+      bytes: stats.bytes,
+      lines: stats.lines,
+      vendored,
+    });
+
+    // Binary and vendored files stay out of line counts
+    if (stats.binary || vendored || stats.lines === null) continue;
+
+    totalLines += stats.lines;
+    directories[topDir].lines += stats.lines;
+
+    const language = detectLanguage(relPath);
+    if (!NON_CODE_LANGUAGES.has(language)) {
+      sourceFiles++;
+      if (isTestFile(relPath)) testFiles.push(relPath);
+    }
+
+    languages[language] = languages[language] || {
+      language,
+      files: 0,
+      lines: 0,
+      bytes: 0,
+    };
+    languages[language].files++;
+    languages[language].lines += stats.lines;
+    languages[language].bytes += stats.bytes;
+  }
+
+  const languageList = Object.values(languages)
+    .map((l) => ({
+      ...l,
+      percentage:
+        totalLines > 0 ? Math.round((l.lines / totalLines) * 1000) / 10 : 0,
+    }))
+    .sort((a, b) => b.lines - a.lines);
+
+  const { frameworks, buildSystems } = await detectTooling(repoPath, files);
+
+  return {
+    totalFiles: files.length,
+    sourceFiles,
+    totalLines,
+    totalBytes,
+    primaryLanguage: languageList[0]?.language || null,
+    languages: languageList,
+    directories: Object.values(directories).sort((a, b) => b.files - a.files),
+    fileTypes: extensions,
+    largestFiles: fileStats.sort((a, b) => b.bytes - a.bytes).slice(0, TOP_N),
+    binaryFiles: {
+      count: binaryFiles.length,
+      examples: binaryFiles.slice(0, TOP_N),
+    },
+    vendoredFiles: {
+      count: vendoredFiles.length,
+      examples: vendoredFiles.slice(0, TOP_N),
+    },
+    testFiles: {
+      count: testFiles.length,
+      examples: testFiles.slice(0, TOP_N),
+    },
+    frameworks,
+    buildSystems,
+    ignoredDirectories: IGNORED_DIRS,
+    ignoredPaths: ignore,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+async function inspectFile(fullPath) {
+  try {
+    const stat = await fs.stat(fullPath);
+    const ext = path.extname(fullPath).toLowerCase();
+
+    if (BINARY_EXTENSIONS.has(ext)) {
+      return { bytes: stat.size, lines: null, binary: true };
+    }
+
+    if (stat.size > MAX_COUNTED_BYTES) {
+      return { bytes: stat.size, lines: null, binary: false };
+    }
+
+    const content = await fs.readFile(fullPath);
+
+    if (content.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+      return { bytes: stat.size, lines: null, binary: true };
+    }
+
+    return { bytes: stat.size, lines: countLines(content), binary: false };
+  } catch (error) {
+    return null;
+  }
+}
+
+function countLines(buffer) {
+  if (buffer.length === 0) return 0;
+
+  let lines = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] === 10) lines++;
+  }
+
+  // Last line without trailing newline
+  return buffer[buffer.length - 1] === 10 ? lines : lines + 1;
+}
+
+function detectLanguage(relPath) {
+  const base = path.basename(relPath);
+  if (SPECIAL_FILE_LANGUAGES[base]) return SPECIAL_FILE_LANGUAGES[base];
+  return LANGUAGES[path.extname(relPath).toLowerCase()] || "Other";
+}
+
+function isTestFile(relPath) {
+  return TEST_PATTERNS.some((pattern) => pattern.test(relPath));
+}
+
+function isVendored(relPath) {
+  return VENDORED_PATTERNS.some((pattern) => pattern.test(relPath));
+}
+
+function toRepoPath(repoPath, fullPath) {
+  return path.relative(repoPath, fullPath).split(path.sep).join("/");
+}
+
+// =============================
+// FRAMEWORKS & BUILD SYSTEMS
+// =============================
+
+async function detectTooling(repoPath, files) {
+  const relPaths = files.map((f) => toRepoPath(repoPath, f));
+  const byName = {};
+
+  // Only look at manifests outside vendored code
+  relPaths
+    .filter((p) => !isVendored(p))
+    .forEach((p) => {
+      const base = path.basename(p);
+      (byName[base] = byName[base] || []).push(p);
+    });
+
+  const buildSystems = new Set();
+  BUILD_SYSTEM_MARKERS.forEach(({ file, name }) => {
+    if (byName[file]) buildSystems.add(name);
+  });
+  if (byName["package.json"] && buildSystems.size === 0) {
+    buildSystems.add("npm");
+  }
+
+  const frameworks = new Set();
+
+  for (const manifest of byName["package.json"] || []) {
+    try {
+      const pkg = JSON.parse(
+        await fs.readFile(path.join(repoPath, manifest), "utf8")
+      );
+      const deps = {
+        ...pkg.dependencies,
+        ...pkg.devDependencies,
+        ...pkg.peerDependencies,
+      };
+      Object.keys(deps).forEach((dep) => {
+        if (JS_FRAMEWORKS[dep]) frameworks.add(JS_FRAMEWORKS[dep]);
+      });
+    } catch (error) {}
+  }
+
+  for (const { file, pattern, name } of TEXT_MANIFEST_FRAMEWORKS) {
+    for (const manifest of byName[file] || []) {
+      try {
+        const content = await fs.readFile(
+          path.join(repoPath, manifest),
+          "utf8"
+        );
+        if (pattern.test(content)) frameworks.add(name);
+      } catch (error) {}
+    }
+  }
+
+  return {
+    frameworks: Array.from(frameworks).sort(),
+    buildSystems: Array.from(buildSystems).sort(),
+  };
+}
+
+module.exports = {
+  analyzeStructure,
+  getAllFiles,
+  IGNORED_DIRS,
+};
@@ -0,0 +1,124 @@
+const supabase = require("./supabase.services");
+const {
+  normalizePath,
+  fingerprint,
+  globToRegExp,
+} = require("./findings.services");
+
+// A suppression matches bugs and security findings by scope (one repository
+// or all of the user's), file glob, finding type and/or fingerprint. Unset
+// criteria match everything; expired suppressions match nothing.
+
+const SECTIONS = { bug: "bugs", security: "security" };
+
+// =============================
+// MATCHING
+// =============================
+
+function isActive(suppression, now = new Date()) {
+  return !suppression.expires_at || new Date(suppression.expires_at) > now;
+}
+
+// `finding` is a findings row, or an item of ai_analysis.bugs/security
+// tagged with `category`
+function matchesSuppression(finding, suppression, now = new Date()) {
+  if (!isActive(suppression, now)) return false;
+
+  if (
+    suppression.file_glob &&
+    !globToRegExp(suppression.file_glob).test(normalizePath(finding.file))
+  ) {
+    return false;
+  }
+
+  if (suppression.finding_type) {
+    const wanted = suppression.finding_type.trim().toLowerCase();
+    const types = [finding.category, finding.type]
+      .filter(Boolean)
+      .map((t) => String(t).trim().toLowerCase());
+    if (!types.includes(wanted)) return false;
+  }
+
+  if (
+    suppression.fingerprint &&
+    suppression.fingerprint !== (finding.fingerprint || fingerprint(finding))
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+// Moves matching bugs and security findings into `suppressed`, so scoring
+// and the fix pipeline never see them. Returns a new analysis object.
+function applySuppressions(aiAnalysis, suppressions, now = new Date()) {
+  const ai = unsuppress(aiAnalysis);
+  const active = suppressions.filter((s) => isActive(s, now));
+  const suppressed = [];
+
+  Object.entries(SECTIONS).forEach(([category, section]) => {
+    if (!Array.isArray(ai[section])) return;
+
+    ai[section] = ai[section].filter((item) => {
+      const match = active.find((s) =>
+        matchesSuppression({ ...item, category }, s, now)
+      );
+      if (!match) return true;
+
+      suppressed.push({
+        ...item,
+        category,
+        suppressionId: match.suppression_id,
+        suppressionReason: match.reason,
+      });
+      return false;
+    });
+  });
+
+  return suppressed.length > 0 ? { ...ai, suppressed } : ai;
+}
+
+// Puts previously suppressed findings back into their sections
+function unsuppress(aiAnalysis) {
+  const ai = { ...(aiAnalysis || {}) };
+  const suppressed = Array.isArray(ai.suppressed) ? ai.suppressed : [];
+  delete ai.suppressed;
+
+  suppressed.forEach(
+    ({ category, suppressionId, suppressionReason, ...item }) => {
+      const section = SECTIONS[category];
+      if (!section) return;
+      ai[section] = [...(Array.isArray(ai[section]) ? ai[section] : []), item];
+    }
+  );
+
+  return ai;
+}
+
+// =============================
+// QUERIES
+// =============================
+
+// Active suppressions that apply to owner/repo
+async function getActiveSuppressions(userId, owner, repo) {
+  const { data, error } = await supabase
+    .from("suppressions")
+    .select("*")
+    .eq("user_id", userId)
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+  if (error) throw error;
+
+  return (data || []).filter(
+    (s) =>
+      (!s.repo_owner || s.repo_owner === owner) &&
+      (!s.repo_name || s.repo_name === repo)
+  );
+}
+
+module.exports = {
+  matchesSuppression,
+  applySuppressions,
+  unsuppress,
+  getActiveSuppressions,
+};
@@ -0,0 +1,128 @@
+const { SEVERITIES } = require("./analysisSchema.services");
+
+const BUCKETS = ["none", "day", "week", "month"];
+
+// =============================
+// POINTS
+// =============================
+
+function countBySeverity(aiAnalysis) {
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  const findings = [
+    ...(Array.isArray(aiAnalysis?.bugs) ? aiAnalysis.bugs : []),
+    ...(Array.isArray(aiAnalysis?.security) ? aiAnalysis.security : []),
+  ];
+
+  findings.forEach((finding) => {
+    if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+  });
+
+  return { ...counts, total: findings.length };
+}
+
+function summarizeFixes(fixJobs) {
+  const summary = {
+    total: fixJobs.length,
+    prCreated: 0,
+    noChanges: 0,
+    failed: 0,
+    cancelled: 0,
+    inProgress: 0,
+    prUrls: [],
+  };
+
+  fixJobs.forEach((job) => {
+    if (job.status === "completed" && job.pr_url) {
+      summary.prCreated++;
+      summary.prUrls.push(job.pr_url);
+    } else if (job.status === "completed") summary.noChanges++;
+    else if (job.status === "failed") summary.failed++;
+    else if (job.status === "cancelled") summary.cancelled++;
+    else summary.inProgress++;
+  });
+
+  return summary;
+}
+
+function buildTrendPoint(analysis, fixJobs) {
+  return {
+    analysisId: analysis.analysis_id,
+    date: analysis.completed_at || analysis.created_at,
+    commitSha: analysis.commit_sha || null,
+    score: analysis.code_quality?.score ?? null,
+    grade: analysis.code_quality?.grade ?? null,
+    findings: countBySeverity(analysis.ai_analysis),
+    totalFiles: analysis.structure?.totalFiles ?? null,
+    fixes: summarizeFixes(fixJobs),
+  };
+}
+
+// =============================
+// BUCKETING
+// =============================
+
+function bucketKey(date, bucket) {
+  const d = new Date(date);
+  const iso = d.toISOString();
+
+  if (bucket === "day") return iso.substring(0, 10);
+  if (bucket === "month") return iso.substring(0, 7);
+
+  // Weeks start on Monday (UTC)
+  const day = (d.getUTCDay() + 6) % 7;
+  const monday = new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day)
+  );
+  return monday.toISOString().substring(0, 10);
+}
+
+// Points must be in chronological order. Scores are averaged per bucket;
+// finding counts and file count come from the latest analysis in it.
+function bucketize(points, bucket) {
+  if (bucket === "none") return points;
+
+  const buckets = new Map();
+
+  points.forEach((point) => {
+    const key = bucketKey(point.date, bucket);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(point);
+  });
+
+  return Array.from(buckets.entries()).map(([key, group]) => {
+    const latest = group[group.length - 1];
+    const scores = group.map((p) => p.score).filter((s) => s !== null);
+    const avgScore =
+      scores.length > 0
+        ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length)
+        : null;
+
+    const fixes = group.reduce((acc, p) => {
+      Object.keys(acc).forEach((field) => {
+        if (field === "prUrls") acc.prUrls.push(...p.fixes.prUrls);
+        else acc[field] += p.fixes[field];
+      });
+      return acc;
+    }, summarizeFixes([]));
+
+    return {
+      bucket: key,
+      analyses: group.length,
+      score: avgScore,
+      minScore: scores.length > 0 ? Math.min(...scores) : null,
+      maxScore: scores.length > 0 ? Math.max(...scores) : null,
+      latestGrade: latest.grade,
+      latestAnalysisId: latest.analysisId,
+      commitSha: latest.commitSha,
+      findings: latest.findings,
+      totalFiles: latest.totalFiles,
+      fixes,
+    };
+  });
+}
+
+module.exports = {
+  BUCKETS,
+  buildTrendPoint,
+  bucketize,
+};
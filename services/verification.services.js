@@ -0,0 +1,464 @@
+const { spawn } = require("child_process");
+const fs = require("fs").promises;
+const path = require("path");
+const { killProcessTree, lineSplitter } = require("./agentRunner.services");
+
+// Runs the target repository's own tests and linters on a fix before it is
+// committed. The steps come from `verify.commands` in .devpulse.yml or are
+// detected from the repo's tooling; they run one after another in the temp
+// clone and stop at the first failure.
+//
+// The steps are the repo's own code, so they only ever run in a throwaway
+// container (VERIFY_CONTAINER_IMAGE) without network access, capped at
+// VERIFY_MEMORY and VERIFY_CPUS, with VERIFY_TIMEOUT_MS for the whole run.
+// Without a configured image verification is skipped. Steps get a minimal
+// env plus the names in VERIFY_ENV_PASSTHROUGH, never the server's secrets.
+// Dependency installs are the one step with network access, on
+// VERIFY_INSTALL_NETWORK (default: bridge): npm ci and friends cannot run
+// from a cold cache. Setting it to none only works with an image that
+// already holds the dependencies.
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_OUTPUT_CHARS = 20000;
+const PROBE_TIMEOUT_MS = 60 * 1000;
+
+function getTimeoutMs() {
+  const timeout = parseInt(process.env.VERIFY_TIMEOUT_MS, 10);
+  return Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS;
+}
+
+function verifyEnv() {
+  const names = [
+    "LANG",
+    ...(process.env.VERIFY_ENV_PASSTHROUGH || "").split(","),
+  ]
+    .map((name) => name.trim())
+    .filter((name) => name && process.env[name] !== undefined);
+
+  return {
+    ...Object.fromEntries(names.map((name) => [name, process.env[name]])),
+    CI: "true",
+  };
+}
+
+// =============================
+// DETECTION
+// =============================
+
+async function exists(repoPath, file) {
+  try {
+    await fs.access(path.join(repoPath, file));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function readText(repoPath, file) {
+  try {
+    return await fs.readFile(path.join(repoPath, file), "utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+// npm's placeholder for "no tests"
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+async function detectNodeSteps(repoPath) {
+  const raw = await readText(repoPath, "package.json");
+  if (raw === null) return [];
+
+  let pkg;
+  try {
+    pkg = JSON.parse(raw);
+  } catch (error) {
+    return [];
+  }
+
+  const scripts = pkg.scripts || {};
+  const manager = (await exists(repoPath, "pnpm-lock.yaml"))
+    ? "pnpm"
+    : (await exists(repoPath, "yarn.lock"))
+    ? "yarn"
+    : "npm";
+  const locked =
+    manager !== "npm" || (await exists(repoPath, "package-lock.json"));
+
+  const steps = [];
+
+  if (pkg.dependencies || pkg.devDependencies) {
+    const install = {
+      npm: locked ? ["ci"] : ["install", "--no-package-lock"],
+      yarn: ["install", "--frozen-lockfile"],
+      pnpm: ["install", "--frozen-lockfile"],
+    }[manager];
+    steps.push({
+      name: "install",
+      command: [manager, ...install, "--ignore-scripts"],
+      install: true,
+    });
+  }
+  if (scripts.lint) {
+    steps.push({ name: "lint", command: [manager, "run", "lint"] });
+  }
+  if (scripts.test && !NPM_PLACEHOLDER_TEST.test(scripts.test)) {
+    steps.push({ name: "test", command: [manager, "test"] });
+  }
+
+  return steps;
+}
+
+async function existsAny(repoPath, files) {
+  for (const file of files) {
+    if (await exists(repoPath, file)) return true;
+  }
+  return false;
+}
+
+// A Python project with pytest tests
+async function detectPythonSteps(repoPath) {
+  const pyproject = (await readText(repoPath, "pyproject.toml")) || "";
+  const isPython =
+    pyproject ||
+    (await existsAny(repoPath, ["setup.py", "setup.cfg", "requirements.txt"]));
+  const hasTests =
+    pyproject.includes("[tool.pytest") ||
+    (await existsAny(repoPath, ["pytest.ini", "conftest.py", "tests"]));
+
+  if (!isPython || !hasTests) return [];
+
+  return [{ name: "test", command: ["python3", "-m", "pytest", "-q"] }];
+}
+
+async function detectGoSteps(repoPath) {
+  if (!(await exists(repoPath, "go.mod"))) return [];
+
+  return [
+    { name: "vet", command: ["go", "vet", "./..."] },
+    { name: "test", command: ["go", "test", "./..."] },
+  ];
+}
+
+async function detectRustSteps(repoPath) {
+  if (!(await exists(repoPath, "Cargo.toml"))) return [];
+
+  return [{ name: "test", command: ["cargo", "test", "--quiet"] }];
+}
+
+async function detectMakeSteps(repoPath) {
+  const makefile = await readText(repoPath, "Makefile");
+  if (!makefile || !/^test:/m.test(makefile)) return [];
+
+  return [{ name: "test", command: ["make", "test"] }];
+}
+
+// Steps to run, as { name, command: [cmd, ...args] }. Commands configured
+// in .devpulse.yml run through `sh -c` and replace detection entirely.
+async function detectVerificationSteps(repoPath, configured = []) {
+  if (configured.length > 0) {
+    return configured.map((command, i) => ({
+      name: `command ${i + 1}`,
+      command: ["sh", "-c", command],
+      commandLine: command,
+    }));
+  }
+
+  const detected = [
+    ...(await detectNodeSteps(repoPath)),
+    ...(await detectPythonSteps(repoPath)),
+    ...(await detectGoSteps(repoPath)),
+    ...(await detectRustSteps(repoPath)),
+  ];
+
+  return detected.length > 0 ? detected : detectMakeSteps(repoPath);
+}
+
+// =============================
+// EXECUTION
+// =============================
+
+// The container image steps run in, or null when verification is off
+function getContainerImage() {
+  return process.env.VERIFY_CONTAINER_IMAGE || null;
+}
+
+// A throwaway, capped container with the clone mounted at /workspace
+function stepProcess(step, repoPath) {
+  const runtime = process.env.VERIFY_CONTAINER_RUNTIME || "docker";
+  const containerName = `devpulse-verify-${Date.now()}-${Math.random()
+    .toString(36)
+    .substring(2, 9)}`;
+  const env = verifyEnv();
+  const network = step.install
+    ? process.env.VERIFY_INSTALL_NETWORK || "bridge"
+    : "none";
+
+  return {
+    cmd: runtime,
+    args: [
+      "run",
+      "--rm",
+      "--name",
+      containerName,
+      "--network",
+      network,
+      "--memory",
+      process.env.VERIFY_MEMORY || "2g",
+      "--memory-swap",
+      process.env.VERIFY_MEMORY || "2g",
+      "--cpus",
+      process.env.VERIFY_CPUS || "1",
+      "--pids-limit",
+      "512",
+      "--security-opt",
+      "no-new-privileges",
+      "-v",
+      `${path.resolve(repoPath)}:/workspace`,
+      "-w",
+      "/workspace",
+      // Names only: values come from the CLI's env, not its arguments
+      ...Object.keys(env).flatMap((name) => ["-e", name]),
+      getContainerImage(),
+      ...step.command,
+    ],
+    options: { env: { ...process.env, ...env } },
+    onKill: () => {
+      spawn(runtime, ["kill", containerName]).on("error", () => {});
+    },
+  };
+}
+
+// Resolves with { exitCode, timedOut, missing, output } (never rejects,
+// except on abort). `missing` means the container runtime is not
+// installed. Output keeps the last MAX_OUTPUT_CHARS characters.
+function runStep(step, repoPath, timeoutMs, { signal, onOutput } = {}) {
+  const { cmd, args, options, onKill } = stepProcess(step, repoPath);
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    let timedOut = false;
+    let settled = false;
+
+    const append = (d) => {
+      output = (output + d.toString()).slice(-MAX_OUTPUT_CHARS);
+    };
+    const stdoutLines = lineSplitter("stdout", onOutput);
+    const stderrLines = lineSplitter("stderr", onOutput);
+
+    const proc = spawn(cmd, args, {
+      ...options,
+      detached: process.platform !== "win32",
+    });
+
+    const stop = () => {
+      killProcessTree(proc);
+      if (onKill) onKill();
+    };
+
+    const onAbort = () => {
+      stop();
+      finish(reject, signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+
+    proc.stdout.on("data", (d) => {
+      append(d);
+      stdoutLines.push(d);
+    });
+    proc.stderr.on("data", (d) => {
+      append(d);
+      stderrLines.push(d);
+    });
+
+    proc.on("close", (code) => {
+      stdoutLines.end();
+      stderrLines.end();
+      finish(resolve, {
+        exitCode: code,
+        timedOut,
+        missing: false,
+        output,
+      });
+    });
+
+    proc.on("error", (error) =>
+      finish(resolve, {
+        exitCode: null,
+        timedOut,
+        missing: error.code === "ENOENT",
+        output: `${output}${error.message}`,
+      })
+    );
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeoutMs);
+  });
+}
+
+// Why the step cannot run (no container runtime, or its tool absent from the
+// image, checked with `command -v` in a container of its own), or null. The
+// step's exit code cannot tell: 127 from `npm test` may just as well be a
+// broken script of the repo's.
+async function missingTool(step, repoPath, timeoutMs, signal) {
+  const probe = {
+    name: "probe",
+    // Any shell's "not found" becomes exit code 1, apart from the runtime's own
+    command: [
+      "sh",
+      "-c",
+      'command -v "$1" >/dev/null || exit 1',
+      "sh",
+      step.command[0],
+    ],
+  };
+  const { exitCode, missing, output } = await runStep(
+    probe,
+    repoPath,
+    timeoutMs,
+    { signal }
+  );
+
+  if (missing) return output;
+  if (exitCode === 1) {
+    return `${step.command[0]} is not installed in the verification container`;
+  }
+  return null;
+}
+
+// Runs the steps until one fails. Returns { status, reason, steps,
+// durationMs }: "passed", "failed", or "skipped" when there is no container
+// image, nothing to run, or no step's tool is installed. A step whose tool
+// is missing is skipped rather than failed.
+async function runVerification(repoPath, steps, { signal, onOutput } = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + getTimeoutMs();
+  const results = [];
+
+  if (!getContainerImage()) {
+    return {
+      status: "skipped",
+      reason: "no verification container configured",
+      steps: [],
+      durationMs: 0,
+    };
+  }
+  if (steps.length === 0) {
+    return {
+      status: "skipped",
+      reason: "no test or lint tooling detected",
+      steps: [],
+      durationMs: 0,
+    };
+  }
+
+  for (const step of steps) {
+    const remaining = deadline - Date.now();
+    const commandLine = step.commandLine || step.command.join(" ");
+
+    if (remaining <= 0) {
+      results.push({
+        name: step.name,
+        command: commandLine,
+        status: "failed",
+        exitCode: null,
+        timedOut: true,
+        durationMs: 0,
+        output: "Verification time limit reached before this step",
+      });
+      break;
+    }
+
+    const stepStartedAt = Date.now();
+    const missing = await missingTool(
+      step,
+      repoPath,
+      Math.min(remaining, PROBE_TIMEOUT_MS),
+      signal
+    );
+
+    if (missing) {
+      results.push({
+        name: step.name,
+        command: commandLine,
+        status: "skipped",
+        exitCode: null,
+        timedOut: false,
+        durationMs: Date.now() - stepStartedAt,
+        output: missing,
+      });
+      continue;
+    }
+
+    onOutput?.("stdout", `$ ${commandLine}`);
+
+    const { exitCode, timedOut, output } = await runStep(
+      step,
+      repoPath,
+      remaining,
+      { signal, onOutput }
+    );
+    const status = exitCode === 0 ? "passed" : "failed";
+
+    results.push({
+      name: step.name,
+      command: commandLine,
+      status,
+      exitCode,
+      timedOut,
+      durationMs: Date.now() - stepStartedAt,
+      output,
+    });
+
+    if (status === "failed") break;
+  }
+
+  const statuses = results.map((result) => result.status);
+
+  return {
+    status: statuses.includes("failed")
+      ? "failed"
+      : statuses.includes("passed")
+      ? "passed"
+      : "skipped",
+    reason: statuses.some((status) => status !== "skipped")
+      ? null
+      : "the tooling is not installed in the verification container",
+    steps: results,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+const STEP_ICONS = { passed: "✅", failed: "❌", skipped: "⏭️" };
+
+// One line per step, e.g. "✅ test: npm test (3.2s)"
+function describeStep(step) {
+  const outcome =
+    step.status === "skipped"
+      ? ", tool not installed"
+      : step.timedOut
+      ? ", timed out"
+      : step.status === "failed"
+      ? `, exit code ${step.exitCode ?? "none"}`
+      : "";
+
+  return `${STEP_ICONS[step.status]} ${step.name}: \`${step.command}\` (${(
+    step.durationMs / 1000
+  ).toFixed(1)}s${outcome})`;
+}
+
+module.exports = {
+  detectVerificationSteps,
+  runVerification,
+  describeStep,
+};
@@ -0,0 +1,380 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+const supabase = require("./supabase.services");
+const { version } = require("../package.json");
+
+// Outbound webhooks. Each event creates one delivery per matching webhook;
+// a delivery is POSTed with an HMAC-SHA256 signature of the raw body and
+// retried with exponential backoff until it gets a 2xx or runs out of
+// attempts. Every attempt is recorded in webhook_deliveries; response bodies
+// are never stored or returned, only status codes.
+
+const WEBHOOK_EVENTS = [
+  "analysis.completed",
+  "analysis.failed",
+  "fix.pr_created",
+  "fix.failed",
+];
+
+const SIGNATURE_HEADER = "X-DevPulse-Signature-256";
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+const timers = new Map();
+
+function getMaxAttempts() {
+  const max = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10);
+  return Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_ATTEMPTS;
+}
+
+// 30s, 2m, 8m, 32m, ...
+function retryDelay(attempts) {
+  return BASE_RETRY_DELAY_MS * 4 ** (attempts - 1);
+}
+
+// =============================
+// VALIDATION
+// =============================
+
+const LOCAL_HOSTNAMES = [/^localhost$/i, /\.localhost$/i, /\.internal$/i];
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+// IPv4 address embedded in an IPv4-mapped (::ffff:a.b.c.d) or NAT64
+// (64:ff9b::a.b.c.d) IPv6 address, or null
+function embeddedIPv4(address) {
+  const match = address
+    .toLowerCase()
+    .match(
+      /^(?:::ffff:|64:ff9b::)(?:([0-9a-f]{1,4}):([0-9a-f]{1,4})|([\d.]+))$/
+    );
+  if (!match) return null;
+  if (match[3]) return match[3];
+
+  const high = parseInt(match[1], 16);
+  const low = parseInt(match[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 6) {
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return isPrivateAddress(ipv4);
+  }
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function privateUrlsAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+}
+
+// Returns an error message, or null for a usable URL. Internal addresses
+// are refused unless WEBHOOK_ALLOW_PRIVATE_URLS=true (local development).
+// Names are only checked literally here; what they resolve to is checked
+// on every delivery by safeLookup.
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "url must be a valid URL";
+  }
+
+  if (!["https:", "http:"].includes(parsed.protocol)) {
+    return "url must use http or https";
+  }
+  if (parsed.username || parsed.password) {
+    return "url must not contain credentials";
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (
+    !privateUrlsAllowed() &&
+    (LOCAL_HOSTNAMES.some((pattern) => pattern.test(host)) ||
+      (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    return "url must not point to a private or local address";
+  }
+
+  return null;
+}
+
+// dns.lookup replacement for the delivery agents: fails the connection when
+// the name resolves to any private address, so DNS cannot be used to reach
+// internal services
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (
+      !privateUrlsAllowed() &&
+      addresses.some(({ address }) => isPrivateAddress(address))
+    ) {
+      return callback(
+        new Error(`${hostname} resolves to a private or local address`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function signPayload(secret, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex")}`;
+}
+
+// =============================
+// DISPATCH
+// =============================
+
+// Queues `event` for every active webhook of the user that subscribes to
+// it. Best-effort: errors are logged, never thrown into the job.
+async function dispatchEvent(userId, event, data) {
+  if (!userId) return;
+
+  try {
+    const { data: hooks, error } = await supabase
+      .from("webhooks")
+      .select("webhook_id")
+      .eq("user_id", String(userId))
+      .eq("active", true)
+      .contains("events", [event]);
+
+    if (error) throw error;
+    if (hooks.length === 0) return;
+
+    const payload = { event, createdAt: new Date().toISOString(), data };
+
+    const { data: deliveries, error: insertError } = await supabase
+      .from("webhook_deliveries")
+      .insert(
+        hooks.map((hook) => ({
+          webhook_id: hook.webhook_id,
+          event,
+          payload,
+          status: "pending",
+          next_attempt_at: new Date().toISOString(),
+        }))
+      )
+      .select("delivery_id");
+
+    if (insertError) throw insertError;
+
+    deliveries.forEach(({ delivery_id }) => scheduleDelivery(delivery_id, 0));
+  } catch (error) {
+    console.error(`⚠️ Webhook dispatch failed (${event}): ${error.message}`);
+  }
+}
+
+// Sends a copy of a past delivery as a new delivery
+async function redeliver(delivery) {
+  const { data, error } = await supabase
+    .from("webhook_deliveries")
+    .insert({
+      webhook_id: delivery.webhook_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: "pending",
+      next_attempt_at: new Date().toISOString(),
+      redelivery_of: delivery.delivery_id,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await attemptDelivery(data.delivery_id);
+
+  const { data: result, error: readError } = await supabase
+    .from("webhook_deliveries")
+    .select("*")
+    .eq("delivery_id", data.delivery_id)
+    .single();
+
+  if (readError) throw readError;
+
+  return result;
+}
+
+function scheduleDelivery(deliveryId, delayMs) {
+  clearTimeout(timers.get(deliveryId));
+
+  const timer = setTimeout(() => {
+    timers.delete(deliveryId);
+    attemptDelivery(deliveryId).catch((error) =>
+      console.error(`⚠️ Webhook delivery ${deliveryId}: ${error.message}`)
+    );
+  }, Math.max(0, delayMs));
+  timer.unref?.();
+
+  timers.set(deliveryId, timer);
+}
+
+async function attemptDelivery(deliveryId) {
+  const { data: delivery, error } = await supabase
+    .from("webhook_deliveries")
+    .select("*, webhooks (url, secret, active)")
+    .eq("delivery_id", deliveryId)
+    .single();
+
+  if (error || !delivery || delivery.status !== "pending") return;
+
+  const hook = delivery.webhooks;
+  if (!hook || !hook.active) {
+    await supabase
+      .from("webhook_deliveries")
+      .update({ status: "failed", error: "Webhook is disabled or deleted" })
+      .eq("delivery_id", deliveryId);
+    return;
+  }
+
+  // Claim the attempt: with several instances resuming the same pending
+  // deliveries, only the one whose update matches sends it
+  const attempts = delivery.attempts + 1;
+  const { data: claimed, error: claimError } = await supabase
+    .from("webhook_deliveries")
+    .update({ attempts })
+    .eq("delivery_id", deliveryId)
+    .eq("status", "pending")
+    .eq("attempts", delivery.attempts)
+    .select("delivery_id");
+
+  if (claimError || claimed.length === 0) return;
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let failure = null;
+
+  // Checked again on every attempt: the URL may predate a rule change
+  const invalid = validateWebhookUrl(hook.url);
+
+  try {
+    if (invalid) throw new Error(invalid);
+
+    const response = await axios.post(hook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `DevPulse-Webhooks/${version}`,
+        "X-DevPulse-Event": delivery.event,
+        "X-DevPulse-Delivery": deliveryId,
+        [SIGNATURE_HEADER]: signPayload(hook.secret, body),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      httpAgent,
+      httpsAgent,
+      // A proxy would resolve the name itself, bypassing safeLookup
+      proxy: false,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      maxRedirects: 0,
+      responseType: "text",
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+    });
+
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      failure = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    failure = requestError.message;
+  }
+
+  const finished = !failure || attempts >= getMaxAttempts();
+  const nextAttemptAt = finished
+    ? null
+    : new Date(Date.now() + retryDelay(attempts));
+
+  await supabase
+    .from("webhook_deliveries")
+    .update({
+      status: failure ? (finished ? "failed" : "pending") : "succeeded",
+      response_status: responseStatus,
+      error: failure,
+      duration_ms: Date.now() - startedAt,
+      next_attempt_at: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+      delivered_at: failure ? null : new Date().toISOString(),
+    })
+    .eq("delivery_id", deliveryId);
+
+  if (nextAttemptAt) {
+    scheduleDelivery(deliveryId, nextAttemptAt - Date.now());
+  }
+}
+
+// Picks up deliveries whose retries were pending when the process stopped
+async function resumeDeliveries() {
+  const { data, error } = await supabase
+    .from("webhook_deliveries")
+    .select("delivery_id, next_attempt_at")
+    .eq("status", "pending");
+
+  if (error) throw error;
+
+  data.forEach((delivery) =>
+    scheduleDelivery(
+      delivery.delivery_id,
+      new Date(delivery.next_attempt_at || Date.now()) - Date.now()
+    )
+  );
+
+  if (data.length > 0) {
+    console.log(`♻️ Resumed ${data.length} webhook deliveries`);
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  validateWebhookUrl,
+  generateSecret,
+  signPayload,
+  dispatchEvent,
+  redeliver,
+  resumeDeliveries,
+};
@@ -0,0 +1,11 @@
+-- Job queue: persisted job parameters and ownership for restart recovery
+
+alter table analyses
+  add column if not exists job_params jsonb;
+
+alter table autonomous_fix_jobs
+  add column if not exists user_id text,
+  add column if not exists job_params jsonb;
+
+create index if not exists analyses_status_idx on analyses (status);
+create index if not exists autonomous_fix_jobs_status_idx on autonomous_fix_jobs (status);
@@ -0,0 +1,7 @@
+-- Cancel / retry: link a retried job to the attempt it replaces
+
+alter table analyses
+  add column if not exists retry_of text;
+
+alter table autonomous_fix_jobs
+  add column if not exists retry_of text;
@@ -0,0 +1,11 @@
+-- Commit-pinned analyses and result cache
+
+alter table analyses
+  add column if not exists ref text,
+  add column if not exists commit_sha text,
+  add column if not exists config_key text,
+  add column if not exists cached_from text;
+
+create index if not exists analyses_cache_idx
+  on analyses (user_id, repo_owner, repo_name, commit_sha, config_key)
+  where status = 'completed';
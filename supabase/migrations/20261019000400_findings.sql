@@ -0,0 +1,40 @@
+-- Findings tracked across analyses by stable fingerprint
+
+create table if not exists findings (
+  finding_id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  repo_owner text not null,
+  repo_name text not null,
+  fingerprint text not null,
+  category text not null,
+  severity text,
+  type text,
+  description text,
+  file text,
+  line integer,
+  status text not null default 'open',
+  status_reason text,
+  first_seen_analysis_id text,
+  last_seen_analysis_id text,
+  first_seen_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  status_changed_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, repo_owner, repo_name, fingerprint)
+);
+
+create index if not exists findings_status_idx
+  on findings (user_id, status, severity);
+
+-- Which findings each analysis reported
+create table if not exists analysis_findings (
+  analysis_id text not null,
+  finding_id uuid not null references findings (finding_id) on delete cascade,
+  severity text,
+  line integer,
+  primary key (analysis_id, finding_id)
+);
+
+create index if not exists analysis_findings_finding_idx
+  on analysis_findings (finding_id);
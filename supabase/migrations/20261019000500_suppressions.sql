@@ -0,0 +1,25 @@
+-- Suppressions: user-dismissed findings that later analyses leave out
+
+create table if not exists suppressions (
+  suppression_id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  -- Null owner/name applies to all of the user's repositories
+  repo_owner text,
+  repo_name text,
+  file_glob text,
+  finding_type text,
+  fingerprint text,
+  reason text not null,
+  expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists suppressions_user_idx
+  on suppressions (user_id, repo_owner, repo_name);
+
+alter table findings
+  add column if not exists suppression_id uuid
+    references suppressions (suppression_id) on delete set null;
+
+alter table analyses
+  add column if not exists suppressed_count integer not null default 0;
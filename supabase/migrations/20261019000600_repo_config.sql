@@ -0,0 +1,7 @@
+-- Effective .devpulse.yml config each job ran with
+
+alter table analyses
+  add column if not exists repo_config jsonb;
+
+alter table autonomous_fix_jobs
+  add column if not exists repo_config jsonb;
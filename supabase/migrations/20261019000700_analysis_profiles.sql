@@ -0,0 +1,5 @@
+-- Analysis profile and prompt template version behind each result
+
+alter table analyses
+  add column if not exists profile text not null default 'standard',
+  add column if not exists profile_version integer;
@@ -0,0 +1,7 @@
+-- Bounded, redacted agent output of each job
+
+alter table analyses
+  add column if not exists agent_transcript jsonb;
+
+alter table autonomous_fix_jobs
+  add column if not exists agent_transcript jsonb;
@@ -0,0 +1,12 @@
+-- Replayable event log of autonomous fix jobs (SSE Last-Event-ID)
+
+create table if not exists autonomous_fix_events (
+  event_id bigserial primary key,
+  job_id text not null,
+  type text not null,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists autonomous_fix_events_job_idx
+  on autonomous_fix_events (job_id, event_id);
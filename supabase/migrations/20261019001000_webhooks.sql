@@ -0,0 +1,39 @@
+-- Outbound webhooks and their delivery log
+
+create table if not exists webhooks (
+  webhook_id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  url text not null,
+  -- HMAC-SHA256 key for the X-DevPulse-Signature-256 header
+  secret text not null,
+  events text[] not null,
+  description text,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_user_idx on webhooks (user_id, active);
+
+create table if not exists webhook_deliveries (
+  delivery_id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references webhooks (webhook_id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  response_status integer,
+  response_body text,
+  error text,
+  duration_ms integer,
+  redelivery_of uuid,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_webhook_idx
+  on webhook_deliveries (webhook_id, created_at desc);
+
+create index if not exists webhook_deliveries_pending_idx
+  on webhook_deliveries (status, next_attempt_at);
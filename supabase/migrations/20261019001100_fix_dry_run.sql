@@ -0,0 +1,10 @@
+-- Dry-run fix jobs: the reviewable patch and the commit it applies to
+
+alter table autonomous_fix_jobs
+  add column if not exists mode text not null default 'pr',
+  add column if not exists patch text,
+  add column if not exists base_sha text,
+  -- Set on "apply" jobs: the dry run whose patch they push
+  add column if not exists apply_of text,
+  -- Set on dry runs: the latest job that applied them
+  add column if not exists applied_job_id text;
@@ -0,0 +1,10 @@
+-- Per-user guardrails on autonomous fix diffs, and each job's policy result
+
+create table if not exists fix_policies (
+  user_id text primary key,
+  policy jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table autonomous_fix_jobs
+  add column if not exists policy_report jsonb;
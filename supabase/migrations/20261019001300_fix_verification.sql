@@ -0,0 +1,4 @@
+-- Test and lint results of each autonomous fix before it is committed
+
+alter table autonomous_fix_jobs
+  add column if not exists verification jsonb;
@@ -0,0 +1,9 @@
+-- Which server instance holds each queued or running job, and when it last checked in
+
+alter table analyses
+  add column if not exists instance_id text,
+  add column if not exists heartbeat_at timestamptz;
+
+alter table autonomous_fix_jobs
+  add column if not exists instance_id text,
+  add column if not exists heartbeat_at timestamptz;
@@ -0,0 +1,4 @@
+-- Receivers' response bodies are no longer stored on deliveries
+
+alter table webhook_deliveries
+  drop column if exists response_body;